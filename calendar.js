@@ -0,0 +1,188 @@
+// ============================================================
+// calendar.js — In-world calendar parsing & date math for Scenario State Tracker
+// ============================================================
+//
+// A calendar is either plain Gregorian or a custom definition:
+//   { type: 'custom',
+//     months:   [{ name: 'Hammer', days: 30 }, …],
+//     weekdays: ['Sul', 'Mol', …],           // optional, cycles from day 1
+//     eras:     [{ name: 'DR', offset: 0 }] } // optional, year label → absolute year
+//
+// Dates are parsed out of whatever free text the extractor wrote
+// ("Monday, April 11th, 2011 — evening", "3 Hammer 1492 DR", "2011-04-11 14:30")
+// into { year, month, day, minutes } and compared as day ordinals.
+
+const GREGORIAN_MONTHS = [
+  ['January', 31], ['February', 28], ['March', 31], ['April', 30], ['May', 31], ['June', 30],
+  ['July', 31], ['August', 31], ['September', 30], ['October', 31], ['November', 30], ['December', 31]
+].map(([name, days]) => ({ name, days }));
+
+const GREGORIAN_WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// ── Normalise a stored definition ─────────────────────────────
+export function resolveCalendar(def) {
+  if (!def || def.type !== 'custom' || !Array.isArray(def.months) || !def.months.length) {
+    return { type: 'gregorian', months: GREGORIAN_MONTHS, weekdays: GREGORIAN_WEEKDAYS, eras: [] };
+  }
+  return {
+    type: 'custom',
+    months: def.months
+      .filter(m => m?.name)
+      .map(m => ({ name: String(m.name), days: Math.max(1, parseInt(m.days, 10) || 30) })),
+    weekdays: Array.isArray(def.weekdays) ? def.weekdays.filter(Boolean) : [],
+    eras: Array.isArray(def.eras) ? def.eras.filter(e => e?.name) : []
+  };
+}
+
+// ── Parse a free-text date string ─────────────────────────────
+// Returns { year, month (0-based), day, minutes|null, era|null } or null.
+export function parseDate(text, def) {
+  if (!text || typeof text !== 'string') return null;
+  const cal = resolveCalendar(def);
+  const src = text.trim();
+
+  const minutes = parseTimeOfDay(src);
+
+  // ISO-ish first: 2011-04-11
+  const iso = src.match(/\b(-?\d{1,6})-(\d{1,2})-(\d{1,2})\b/);
+  if (iso) {
+    const month = parseInt(iso[2], 10) - 1;
+    const day   = parseInt(iso[3], 10);
+    if (month >= 0 && month < cal.months.length && day >= 1 && day <= daysInMonth(cal, parseInt(iso[1], 10), month)) {
+      return { year: parseInt(iso[1], 10), month, day, minutes, era: null };
+    }
+  }
+
+  const month = findMonth(src, cal);
+  if (month === -1) return null;
+
+  // Strip times so "14:30" doesn't read as day/year numbers
+  const numbers = [...src.replace(/\b\d{1,2}:\d{2}\b/g, ' ').matchAll(/\b(\d{1,6})(?:st|nd|rd|th)?\b/gi)]
+    .map(m => ({ value: parseInt(m[1], 10), raw: m[1] }));
+  if (!numbers.length) return null;
+
+  // Day = first number that fits the month and isn't written as a 3+ digit year
+  const dayIdx = numbers.findIndex(n => n.raw.length <= 2 && n.value >= 1 && n.value <= cal.months[month].days + 1);
+  if (dayIdx === -1) return null;
+  const day  = numbers[dayIdx].value;
+  const rest = numbers.filter((_, i) => i !== dayIdx);
+  if (!rest.length) return null;
+
+  let year = rest[0].value;
+  const era = findEra(src, cal);
+  if (era) year += Number(era.offset) || 0;
+  if (day > daysInMonth(cal, year, month)) return null;
+  return { year, month, day, minutes, era: era?.name || null };
+}
+
+function findMonth(src, cal) {
+  const lower = src.toLowerCase();
+  // Prefer full names, longest first, so "June" doesn't lose to "Jun…" prefixes of other months
+  const byLength = cal.months.map((m, i) => ({ name: m.name.toLowerCase(), i }))
+    .sort((a, b) => b.name.length - a.name.length);
+  for (const { name, i } of byLength) {
+    if (new RegExp(`\\b${escapeRegex(name)}\\b`).test(lower)) return i;
+  }
+  // Three-letter abbreviations ("Apr", "Sept.")
+  for (const { name, i } of byLength) {
+    if (name.length < 4) continue;
+    if (new RegExp(`\\b${escapeRegex(name.slice(0, 3))}[a-z]?\\.?(?![a-z])`).test(lower)) return i;
+  }
+  return -1;
+}
+
+function findEra(src, cal) {
+  for (const era of cal.eras) {
+    if (new RegExp(`\\b${escapeRegex(era.name)}\\b`, 'i').test(src)) return era;
+  }
+  return null;
+}
+
+function parseTimeOfDay(src) {
+  const m = src.match(/\b(\d{1,2}):(\d{2})\s*(am|pm|a\.m\.|p\.m\.)?/i);
+  if (!m) return null;
+  let h = parseInt(m[1], 10) % 24;
+  const mer = (m[3] || '').toLowerCase();
+  if (mer.startsWith('p') && h < 12) h += 12;
+  if (mer.startsWith('a') && h === 12) h = 0;
+  return h * 60 + parseInt(m[2], 10);
+}
+
+// ── Ordinals & arithmetic ─────────────────────────────────────
+function isLeap(year) {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+function daysInMonth(cal, year, month) {
+  const base = cal.months[month]?.days || 30;
+  return cal.type === 'gregorian' && month === 1 && isLeap(year) ? 29 : base;
+}
+
+// Days since an arbitrary fixed epoch — only differences are meaningful
+export function dayOrdinal(date, def) {
+  const cal = resolveCalendar(def);
+  if (cal.type === 'gregorian') {
+    const d = new Date(0);
+    d.setUTCFullYear(date.year, date.month, date.day);
+    d.setUTCHours(0, 0, 0, 0);
+    return Math.round(d.getTime() / 86_400_000);
+  }
+  const perYear = cal.months.reduce((sum, m) => sum + m.days, 0);
+  const before  = cal.months.slice(0, date.month).reduce((sum, m) => sum + m.days, 0);
+  return date.year * perYear + before + (date.day - 1);
+}
+
+// Signed elapsed minutes from a → b. Times of day only count when both have one.
+export function elapsedMinutes(a, b, def) {
+  const days = dayOrdinal(b, def) - dayOrdinal(a, def);
+  const tod  = (a.minutes != null && b.minutes != null) ? b.minutes - a.minutes : 0;
+  return days * 1440 + tod;
+}
+
+// -1 if a is earlier than b, 1 if later, 0 if the same moment
+export function compareDates(a, b, def) {
+  return -Math.sign(elapsedMinutes(a, b, def));
+}
+
+// "3 days", "1 year, 2 days", "5 hours" — for an absolute span in minutes
+export function formatElapsed(minutes, def) {
+  const cal     = resolveCalendar(def);
+  const perYear = cal.type === 'gregorian' ? 365 : cal.months.reduce((sum, m) => sum + m.days, 0);
+  let rem = Math.abs(minutes);
+  const years = Math.floor(rem / (perYear * 1440)); rem -= years * perYear * 1440;
+  const days  = Math.floor(rem / 1440);             rem -= days * 1440;
+  const hours = Math.floor(rem / 60);
+  const mins  = rem - hours * 60;
+  const parts = [];
+  const plural = (n, unit) => `${n} ${unit}${n !== 1 ? 's' : ''}`;
+  if (years) parts.push(plural(years, 'year'));
+  if (days >= 7 && !years && days % 7 === 0) parts.push(plural(days / 7, 'week'));
+  else if (days) parts.push(plural(days, 'day'));
+  if (hours && !years) parts.push(plural(hours, 'hour'));
+  if (mins && !years && !days) parts.push(plural(mins, 'minute'));
+  return parts.length ? parts.join(', ') : 'no time';
+}
+
+export function weekdayOf(date, def) {
+  const cal = resolveCalendar(def);
+  if (!cal.weekdays.length) return '';
+  const ord = dayOrdinal(date, def);
+  // Gregorian ordinals are Unix days — 1970-01-01 was a Thursday
+  const shift = cal.type === 'gregorian' ? 4 : 0;
+  return cal.weekdays[(((ord + shift) % cal.weekdays.length) + cal.weekdays.length) % cal.weekdays.length];
+}
+
+export function formatDate(date, def) {
+  const cal = resolveCalendar(def);
+  const wd  = weekdayOf(date, def);
+  const era = date.era ? cal.eras.find(e => e.name === date.era) : null;
+  const yr  = era ? `${date.year - (Number(era.offset) || 0)} ${era.name}` : date.year;
+  const tm  = date.minutes != null
+    ? ` ${String(Math.floor(date.minutes / 60)).padStart(2, '0')}:${String(date.minutes % 60).padStart(2, '0')}`
+    : '';
+  return `${wd ? wd + ', ' : ''}${date.day} ${cal.months[date.month]?.name || '?'} ${yr}${tm}`;
+}
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
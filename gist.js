@@ -6,6 +6,8 @@ const TOKEN_KEY     = 'sst_gist_token';
 const CHAT_MAP_KEY  = 'sst_chat_gist_map';
 const LAST_GIST_KEY = 'sst_last_gist_id';   // ← global fallback — survives any chat change
 const SCENARIO_KEY  = 'sst_scenario_config'; // ← extraction config storage
+const EXTRACTOR_KEY = 'sst_extractor';       // ← dedicated extraction backend
+const WST_KEY       = 'sst_wst';             // ← wst block injection / display
 
 // ── Token ─────────────────────────────────────────────────────
 export function getToken() {
@@ -56,6 +58,60 @@ export function setScenarioConfig(cfg) {
   localStorage.setItem(SCENARIO_KEY, JSON.stringify(cfg));
 }
 
+// ── Custom extraction categories (part of the scenario config) ─
+// { name, label, instruction, target, path, type, merge, inject }
+//   target: a filename ("world_state.json", "pc_stats.json") or "npc" for
+//           a per-NPC value stored at `path` inside each NPC file
+export const CUSTOM_TYPES  = ['number', 'text', 'list', 'map'];
+export const CUSTOM_MERGES = ['replace', 'append', 'increment'];
+
+export function getCustomCategories() {
+  const list = getScenarioConfig().custom_categories;
+  return Array.isArray(list) ? list.filter(c => c?.name && c?.path && c?.target) : [];
+}
+
+// ── Dedicated extraction backend (OpenAI-compatible) ─────────
+// Global, not per scenario — it describes the user's setup, not the story.
+export const DEFAULT_EXTRACTOR = {
+  enabled:       false,
+  url:           'http://127.0.0.1:8080/v1',
+  api_key:       '',
+  model:         '',
+  temperature:   0.2,
+  max_tokens:    1024,
+  timeout_sec:   120,
+  system_prompt: 'You are a precise state-extraction tool. You output a single JSON object and nothing else.',
+  fallback:      true          // on failure, use the chat model via generateQuietPrompt
+};
+
+export function getExtractorSettings() {
+  try {
+    return { ...DEFAULT_EXTRACTOR, ...JSON.parse(localStorage.getItem(EXTRACTOR_KEY) || '{}') };
+  } catch { return { ...DEFAULT_EXTRACTOR }; }
+}
+export function setExtractorSettings(settings) {
+  localStorage.setItem(EXTRACTOR_KEY, JSON.stringify(settings));
+}
+
+// ── wst blocks: format instructions, chat display, prompt stripping ─
+export const WST_DISPLAYS = ['show', 'collapse', 'hide'];
+export const DEFAULT_WST = {
+  inject:  false,        // add the tracker's own wst-format instructions to the prompt
+  display: 'collapse',   // how blocks look in the rendered chat
+  strip:   true          // remove blocks from history sent to the model
+};
+
+export function getWstSettings() {
+  try {
+    const s = { ...DEFAULT_WST, ...JSON.parse(localStorage.getItem(WST_KEY) || '{}') };
+    if (!WST_DISPLAYS.includes(s.display)) s.display = DEFAULT_WST.display;
+    return s;
+  } catch { return { ...DEFAULT_WST }; }
+}
+export function setWstSettings(settings) {
+  localStorage.setItem(WST_KEY, JSON.stringify(settings));
+}
+
 // ── Fetch all files from a Gist ──────────────────────────────
 export async function fetchGistFiles(gistId) {
   const token = getToken();
@@ -141,11 +197,14 @@ export function scaffoldNpcFile(displayName, alias, faction, firstAppeared) {
     aliases: alias ? [alias] : [],
     faction: faction || 'Unknown',
     first_appeared: firstAppeared || '',
+    status: 'active',       // active | absent | dead | archived — only active NPCs are injected
     age: '',
     appearance: {},
     personality: '',
     history: '',
     abilities: '',          // generic: power, skill, magic, etc.
+    triggers: [],           // extra keywords that pull this NPC into context; "/regex/i" allowed
+    character_card: '',     // name of a SillyTavern character card playing this NPC
     knowledge: {
       specific_intel: [],
       visibility_gates: {}
@@ -154,7 +213,59 @@ export function scaffoldNpcFile(displayName, alias, faction, firstAppeared) {
       relationship_to_user_character: 'not yet met',
       emotional_state: '',
       physical_state: ''
-    }
+    },
+    relationships: {}       // { "npc_other.json": "how this NPC sees them" }
+  };
+}
+
+// ── Scaffold a blank location file ───────────────────────────
+export function scaffoldLocationFile(displayName, parentRegion) {
+  return {
+    display_name: displayName,
+    description: '',
+    parent_region: parentRegion || '',
+    connected: [],          // other loc_*.json filenames reachable from here
+    npcs_present: []        // npc_*.json filenames currently at this location
+  };
+}
+
+// ── Scaffold a blank item file ───────────────────────────────
+// owner: 'pc', an npc_*.json filename, or '' when nobody holds it
+export function scaffoldItemFile(displayName, owner, description, quantity) {
+  return {
+    display_name: displayName,
+    description: description || '',
+    owner: owner || '',
+    location: '',           // loc_*.json filename when left somewhere
+    status: 'held',         // held | stored | lost | consumed | destroyed
+    quantity: Number(quantity) || 1
+  };
+}
+
+// ── Scaffold a blank faction file ────────────────────────────
+export function scaffoldFactionFile(displayName) {
+  return {
+    display_name: displayName,
+    leadership: [],         // npc_*.json filenames
+    members: [],            // npc_*.json filenames (NPCs whose faction string matches count too)
+    goals: [],
+    resources: '',
+    territory: [],
+    pc_standing: '',
+    standings: {}           // { "faction_other.json": "allied" | "at war" | … }
+  };
+}
+
+// ── Scaffold a blank quest file ──────────────────────────────
+export function scaffoldQuestFile(displayName, giver, description) {
+  return {
+    display_name: displayName,
+    giver: giver || '',     // npc_*.json filename
+    status: 'open',         // open | active | completed | failed
+    description: description || '',
+    steps: [],              // [{ text, done }]
+    deadline: '',           // in-world date string
+    rewards: ''
   };
 }
 
@@ -182,6 +293,7 @@ export function defaultWorldState() {
     in_world_date: '',
     arc: '1',
     chapter: '1.1',
+    current_location: '',
     faction_status: {},
     active_situations: [],
     known_secrets: {},
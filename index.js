@@ -6,18 +6,26 @@ import { getContext } from '../../../extensions.js';
 import {
   getToken, setToken, setGistForChat, getGistIdForChat, getLastGistId,
   fetchGistFiles, updateGistFiles, createGist,
-  scaffoldNpcFile, defaultIndex, defaultWorldState, defaultArcEvents,
-  getScenarioConfig, setScenarioConfig
+  scaffoldNpcFile, scaffoldLocationFile, scaffoldItemFile, scaffoldFactionFile, scaffoldQuestFile,
+  defaultIndex, defaultWorldState, defaultArcEvents,
+  getScenarioConfig, setScenarioConfig, getCustomCategories, CUSTOM_TYPES, CUSTOM_MERGES,
+  getExtractorSettings, setExtractorSettings, DEFAULT_EXTRACTOR,
+  getWstSettings, setWstSettings, WST_DISPLAYS
 } from './gist.js';
 import {
-  stripThinkingBlocks, extractForgeBlock, normalizeForgeBlock,
-  buildExtractionPrompt, runExtractionCall, parseDelta, deltaIsEmpty
+  stripThinkingBlocks, extractForgeBlock, normalizeForgeBlock, mergeWithPreviousIfContinue,
+  buildForgeInstructions, stripForgeBlocks,
+  buildExtractionPrompt, buildRetryPrompt, runExtractionCall, testExtractionBackend, recoverJson, deltaIsEmpty,
+  resolveItemOwner
 } from './parser.js';
+import { renderTemplate, checkTemplate, DEFAULT_NPC_TEMPLATE, DEFAULT_WORLD_TEMPLATE } from './template.js';
+import { parseDate, elapsedMinutes, formatElapsed, formatDate, resolveCalendar } from './calendar.js';
+import { validateDelta, fuzzyResolveFile, customCategorySchema, DELTA_SCHEMA } from './schema.js';
+import { isPatchOp, applyOp, patchFile, diffOp } from './patch.js';
 
 const MODULE        = 'sst';
 const PANEL_ID      = 'sst_panel';
 const STORE_PREFIX  = 'sst_';
-const SCAN_DEPTH    = 3;
 const DEFAULT_MAX_NPCS = 8;
 
 function getMaxNpcs() {
@@ -29,17 +37,61 @@ function setMaxNpcs(n) {
   return clamped;
 }
 const PUSH_DELAY_MS = 8000;
+const MAX_REJECTED  = 50;
+const MAX_APPLIED   = 40;   // accepted changes kept with undo snapshots, per chat
+
+// One extra extraction call when the reply can't be repaired into JSON —
+// the parse error goes back to the model. Off by default: it costs a call.
+function getParseRetry() {
+  return localStorage.getItem(`${STORE_PREFIX}parse_retry`) === 'true';
+}
+function setParseRetry(on) {
+  localStorage.setItem(`${STORE_PREFIX}parse_retry`, on ? 'true' : 'false');
+}
+
+// Token budget for everything the tracker injects (world + NPC blocks).
+// 0 = unlimited. Counted with a chars/4 estimate — close enough for
+// budgeting without an async tokenizer round-trip on every rebuild.
+const DEFAULT_TOKEN_BUDGET = 0;
+
+// Where each tracker block lands in the prompt. Values mirror ST's
+// extension_prompt_types / extension_prompt_roles enums.
+const INJECT_POSITIONS = { after: 0, in_chat: 1, before: 2 };
+const INJECT_ROLES     = { system: 0, user: 1, assistant: 2 };
+const INJECTION_BLOCKS = { world: 'World state', loc: 'Location', inv: 'Inventory', fac: 'Factions', npcs: 'NPCs', wst: 'wst instructions' };
+const DEFAULT_INJECTION = { position: INJECT_POSITIONS.in_chat, depth: 0, role: INJECT_ROLES.system, scan: false };
+
+// Per-block settings live in the scenario config so each scenario keeps its own
+function getInjectionSettings(block) {
+  const saved = getScenarioConfig().injection?.[block] || {};
+  return { ...DEFAULT_INJECTION, ...saved };
+}
+
+function getTokenBudget() {
+  return Math.max(0, parseInt(localStorage.getItem(`${STORE_PREFIX}token_budget`) || DEFAULT_TOKEN_BUDGET, 10) || 0);
+}
+function setTokenBudget(n) {
+  const clamped = Math.max(0, Math.min(32000, parseInt(n, 10) || 0));
+  localStorage.setItem(`${STORE_PREFIX}token_budget`, clamped);
+  return clamped;
+}
 
 let currentChatId   = null;
 let gistId          = null;
 let gistFiles       = {};
 let pendingQueue    = [];
+let rejectedChanges = [];   // validator rejections, shown under the queue
 let lastMessageText = '';
 let isExtracting    = false;
+let continueBase    = null;   // { source, raw, text } of the message a Continue is extending
 let isRescanning    = false;
 let rescanAbort     = false;
 let syncTimer       = null;
 let extensionEnabled = localStorage.getItem('sst_enabled') !== 'false';
+// Per-chat tracker memory (NPC sightings, …) — kept apart from the Gist cache
+// so it survives the 24h cache expiry
+let chatState       = freshChatState();
+let draftedCard     = null;   // group member whose turn is being generated
 
 const worldState  = () => gistFiles['world_state.json']  || {};
 const masterIndex = () => gistFiles['_master_index.json'] || {};
@@ -49,43 +101,72 @@ const allNpcFiles = () =>
     .filter(([k]) => k.startsWith('npc_') && k.endsWith('.json'))
     .map(([, v]) => v)
     .filter(Boolean);
+const entityEntries = prefix =>
+  Object.entries(gistFiles)
+    .filter(([k, v]) => k.startsWith(`${prefix}_`) && k.endsWith('.json') && v && typeof v === 'object');
+const allItemEntries     = () => entityEntries('item');
+const allFactionEntries  = () => entityEntries('faction');
+const allLocationEntries = () => entityEntries('loc');
+const allQuestEntries    = () => entityEntries('quest');
 
 
 // ═══════════════════════════════════════════════════════════════
 // 1. RENDERING
 // ═══════════════════════════════════════════════════════════════
 
-function renderWorldState() {
-  const ws  = worldState();
-  const div = ws.divergence || {};
-  if (!ws.in_world_date && !ws.arc) return '';
-  const cfg   = getScenarioConfig();
-  const label = cfg.scenario_name ? `=== ${cfg.scenario_name.toUpperCase()} — STATE ===` : '=== WORLD STATE ===';
-  const lines = [label, `Date: ${ws.in_world_date || '?'}  |  Arc ${ws.arc || '?'}${ws.chapter ? ' ch.' + ws.chapter : ''}`];
-  if (div.rating !== undefined) {
-    const warn = !div.timeline_reliable ? '  \u26a0 TIMELINE UNRELIABLE \u2014 arc events reference only' : '';
-    lines.push(`Divergence: ${div.rating}/${div.threshold || 15}${warn}`);
-  }
-  if (ws.active_situations?.length) {
-    lines.push('', 'Active situations:');
-    ws.active_situations.forEach(s => lines.push(`  \u2022 ${typeof s === 'string' ? s : JSON.stringify(s)}`));
+function getTemplate(kind) {
+  const custom = (getScenarioConfig().templates?.[kind] || '').trim();
+  return custom || (kind === 'npc' ? DEFAULT_NPC_TEMPLATE : DEFAULT_WORLD_TEMPLATE);
+}
+
+// Render with the scenario's template; a broken custom template falls back
+// to the default so injection never goes blank mid-session.
+function renderWithTemplate(kind, view) {
+  try {
+    return renderTemplate(getTemplate(kind), view);
+  } catch (err) {
+    console.warn(`[ScenarioTracker] ${kind} template failed, using default:`, err.message);
+    return renderTemplate(kind === 'npc' ? DEFAULT_NPC_TEMPLATE : DEFAULT_WORLD_TEMPLATE, view);
   }
+}
+
+// Template data for world_state.json — raw fields plus pre-digested lists
+function worldTemplateView(ws) {
+  const cfg      = getScenarioConfig();
   const factions = ws.faction_status || ws.territorial_control || {};
-  if (Object.keys(factions).length) {
-    lines.push('', 'Faction status:');
-    for (const [name, status] of Object.entries(factions))
-      lines.push(`  ${name}: ${typeof status === 'object' ? (status.status || JSON.stringify(status)) : status}`);
-  }
-  if (ws.known_secrets) {
-    const truths = Object.entries(ws.known_secrets).filter(([, v]) => v === true || (typeof v === 'string' && v.toLowerCase().includes('know')));
-    if (truths.length) {
-      lines.push('', 'PC currently knows:');
-      truths.forEach(([k]) => lines.push(`  \u2022 ${k.replace(/_/g, ' ')}`));
-    }
-  }
-  return lines.join('\n');
+  return {
+    ...ws,
+    header: cfg.scenario_name ? `=== ${cfg.scenario_name.toUpperCase()} — STATE ===` : '=== WORLD STATE ===',
+    has_divergence: ws.divergence?.rating !== undefined,
+    situations: (ws.active_situations || []).map(s => typeof s === 'string' ? s : JSON.stringify(s)),
+    factions: Object.entries(factions).map(([name, status]) => ({
+      name,
+      status: typeof status === 'object' ? (status.status || JSON.stringify(status)) : status
+    })),
+    objectives: allQuestEntries()
+      .filter(([, q]) => q.status === 'open' || q.status === 'active')
+      .map(([, q]) => ({
+        name:       q.display_name,
+        giver:      gistFiles[q.giver]?.display_name || q.giver || '',
+        deadline:   q.deadline || '',
+        open_steps: (q.steps || []).filter(st => !st.done).map(st => st.text)
+      })),
+    tracked: trackedValues(cat => cat.target !== 'npc', cat => gistFiles[cat.target]),
+    pc_knows: Object.entries(ws.known_secrets || {})
+      .filter(([, v]) => v === true || (typeof v === 'string' && v.toLowerCase().includes('know')))
+      .map(([k]) => k)
+  };
+}
+
+function renderWorldState() {
+  const ws = worldState();
+  if (!ws.in_world_date && !ws.arc) return '';
+  return renderWithTemplate('world', worldTemplateView(ws));
 }
 
+const DEFAULT_LOOKAHEAD_RELIABLE   = 'UPCOMING CANON EVENTS (GM ONLY \u2014 never reveal; steer toward these when the story allows)';
+const DEFAULT_LOOKAHEAD_UNRELIABLE = 'CANON REFERENCE ONLY (timeline has diverged \u2014 these may no longer happen)';
+
 function renderArcEvents() {
   const ae = arcEvents();
   const ws = worldState();
@@ -95,14 +176,125 @@ function renderArcEvents() {
   const fired = Object.entries(arcData)
     .filter(([, ev]) => ev.player_status && ev.player_status !== 'pending')
     .map(([id, ev]) => `  [${ev.player_status.toUpperCase()}] ${id.replace(/_/g, ' ')} \u2014 ${ev.summary || ''}`);
-  return fired.length ? `=== ARC ${arc} EVENTS (FIRED) ===\n${fired.join('\n')}` : '';
+  const blocks = [];
+  if (fired.length) blocks.push(`=== ARC ${arc} EVENTS (FIRED) ===\n${fired.join('\n')}`);
+  const ahead = renderLookahead(arcData);
+  if (ahead) blocks.push(ahead);
+  return blocks.join('\n\n');
 }
 
-function renderNpcToText(npc) {
-  if (!npc?.display_name) return null;
-  const alias = npc.alias ? ` "${npc.alias}"` : '';
-  const lines = [`[NPC: ${npc.display_name.toUpperCase()}${alias} | ${npc.faction || 'Unknown'} | ${npc.classification || ''}]`];
+// Next N pending canon events as GM guidance. Wording flips to reference-only
+// once divergence has made the timeline unreliable.
+function renderLookahead(arcData) {
+  const la = getScenarioConfig().lookahead || {};
+  if (!la.enabled) return '';
+  const count = Math.max(1, parseInt(la.count, 10) || 3);
+  const cal   = getCalendar();
+  const pending = Object.entries(arcData)
+    .filter(([, ev]) => ev && (!ev.player_status || ev.player_status === 'pending'))
+    .map(([id, ev], order) => ({ id, ev, order, date: parseDate(ev.scheduled_date, cal) }));
+  // Dated events in calendar order, undated ones keep their file order after them
+  pending.sort((a, b) => {
+    if (a.date && b.date) return elapsedMinutes(b.date, a.date, cal) || a.order - b.order;
+    if (a.date !== b.date) return a.date ? -1 : 1;
+    return a.order - b.order;
+  });
+  const next = pending.slice(0, count);
+  if (!next.length) return '';
+  const reliable = worldState().divergence?.timeline_reliable !== false;
+  const heading  = reliable
+    ? (la.wording_reliable   || '').trim() || DEFAULT_LOOKAHEAD_RELIABLE
+    : (la.wording_unreliable || '').trim() || DEFAULT_LOOKAHEAD_UNRELIABLE;
+  const lines = next.map(({ id, ev }) =>
+    `  \u2022 ${id.replace(/_/g, ' ')}${ev.summary ? ` \u2014 ${ev.summary}` : ''}${ev.scheduled_date ? ` (scheduled: ${ev.scheduled_date})` : ''}`);
+  return `=== ${heading} ===\n${lines.join('\n')}`;
+}
+
+// current_location may hold a loc_ filename or a display name
+function currentLocationFile() {
+  const cur = worldState().current_location;
+  return cur ? resolveLocationFilename(cur, false) : null;
+}
+
+function renderLocation() {
+  const file = currentLocationFile();
+  const loc  = file && gistFiles[file];
+  if (!loc) return '';
+  const nameOf = f => gistFiles[f]?.display_name || f.replace(/^(loc|npc)_|\.json$/g, '').replace(/_/g, ' ');
+  const lines = [`=== LOCATION: ${(loc.display_name || nameOf(file)).toUpperCase()} ===`];
+  if (loc.description)   lines.push(loc.description);
+  if (loc.parent_region) lines.push(`Region: ${gistFiles[loc.parent_region] ? nameOf(loc.parent_region) : loc.parent_region}`);
+  if (loc.connected?.length) lines.push(`Connected: ${loc.connected.map(nameOf).join(', ')}`);
+  if (loc.npcs_present?.length) lines.push(`Present: ${loc.npcs_present.map(nameOf).join(', ')}`);
+  return lines.join('\n');
+}
+
+// Held gear for the PC and for whichever NPCs are in the injected set
+function renderInventory(npcFiles) {
+  const held = allItemEntries().filter(([, it]) => !it.status || it.status === 'held');
+  if (!held.length) return '';
+  const byOwner = {};
+  for (const [, it] of held) {
+    if (it.owner !== 'pc' && !npcFiles.includes(it.owner)) continue;
+    (byOwner[it.owner] = byOwner[it.owner] || []).push(it);
+  }
+  const fmt = it => `${it.display_name}${it.quantity > 1 ? ` (x${it.quantity})` : ''}${it.description ? ` \u2014 ${it.description}` : ''}`;
+  const lines = [];
+  if (byOwner.pc) lines.push('PC carries:', ...byOwner.pc.map(it => `  \u2022 ${fmt(it)}`));
+  for (const file of npcFiles) {
+    if (!byOwner[file]) continue;
+    lines.push(`${gistFiles[file]?.display_name || file}:`, ...byOwner[file].map(it => `  \u2022 ${fmt(it)}`));
+  }
+  return lines.length ? `=== INVENTORY ===\n${lines.join('\n')}` : '';
+}
+
+// Factions with at least one member among the injected NPCs — by file
+// membership, or by the NPC's free-text faction string matching the name
+function factionsInScene(npcFiles) {
+  return allFactionEntries().filter(([, fac]) => {
+    const roster = [...(fac.leadership || []), ...(fac.members || [])];
+    const name   = (fac.display_name || '').toLowerCase();
+    return npcFiles.some(f => roster.includes(f)
+      || (name && (gistFiles[f]?.faction || '').toLowerCase() === name));
+  });
+}
+
+function renderFactions(npcFiles) {
+  const inScene = factionsInScene(npcFiles);
+  if (!inScene.length) return '';
+  const nameOf = f => gistFiles[f]?.display_name || f.replace(/^(faction|npc)_|\.json$/g, '').replace(/_/g, ' ');
+  const list   = v => Array.isArray(v) ? v.join('; ') : v;
+  const blocks = inScene.map(([file, fac]) => {
+    const lines = [`[FACTION: ${(fac.display_name || nameOf(file)).toUpperCase()}]`];
+    if (fac.leadership?.length) lines.push(`Leadership: ${fac.leadership.map(nameOf).join(', ')}`);
+    if (fac.goals?.length)      lines.push(`Goals: ${list(fac.goals)}`);
+    if (fac.resources?.length)  lines.push(`Resources: ${list(fac.resources)}`);
+    if (fac.territory?.length)  lines.push(`Territory: ${list(fac.territory)}`);
+    if (fac.pc_standing)        lines.push(`Standing toward PC: ${fac.pc_standing}`);
+    const rel = Object.entries(fac.standings || {});
+    if (rel.length) lines.push(`Relations: ${rel.map(([f, st]) => `${nameOf(f)}: ${st}`).join('; ')}`);
+    return lines.join('\n');
+  });
+  return `=== FACTIONS IN SCENE ===\n${blocks.join('\n\n')}`;
+}
+
+// knowledge.specific_intel entries are plain strings or { fact, learned }
+function intelFacts(npc) {
+  return (npc?.knowledge?.specific_intel || []).filter(Boolean)
+    .map(i => typeof i === 'string' ? i : i.fact).filter(f => typeof f === 'string' && f);
+}
+
+// What a state-only sheet keeps: the name line and what the tracker
+// changes. Custom NPC categories add their own top-level fields.
+const NPC_STATE_FIELDS = ['display_name', 'alias', 'aliases', 'faction', 'classification', 'status', 'status_note',
+  'status_since', 'current_state', 'relationships', 'knowledge', 'critical_note'];
+
+// Template data for an NPC file — raw fields plus pre-digested lists.
+// stateOnly: a character card in this chat already describes who they
+// are, so only tracked state goes in.
+function npcTemplateView(npc, sceneFiles = [], stateOnly = false) {
   const app = npc.appearance;
+  let appearanceText = '';
   if (app && typeof app === 'object' && Object.keys(app).length) {
     const appLines = [];
     if (app.height)               appLines.push(app.height);
@@ -113,104 +305,458 @@ function renderNpcToText(npc) {
     if (app.body_detail)          appLines.push(`Body: ${app.body_detail}`);
     if (app.distinguishing_marks) appLines.push(`Marks: ${app.distinguishing_marks}`);
     if (app.clothing_style)       appLines.push(`Style: ${app.clothing_style}`);
-    if (appLines.length) lines.push(`Appearance: ${appLines.join('. ')}`);
+    appearanceText = appLines.join('. ');
   } else if (npc.physical_description) {
-    lines.push(`Appearance: ${npc.physical_description}`);
-  }
-  if (npc.abilities)   lines.push(`Abilities: ${npc.abilities}`);
-  if (npc.power?.summary) {
-    lines.push(`Power: ${npc.power.summary}`);
-    if (npc.power.current_limitations?.length) lines.push(`  Limitations: ${npc.power.current_limitations.join('; ')}`);
-    if (npc.power.cannot_do) lines.push(`  Cannot: ${npc.power.cannot_do}`);
-  }
-  if (npc.personality) lines.push(`Personality: ${npc.personality}`);
-  const cs = npc.current_state || {};
-  lines.push('Current:');
-  if (cs.relationship_to_user_character) lines.push(`  \u2192 Relationship to PC: ${cs.relationship_to_user_character}`);
-  if (cs.emotional_state) lines.push(`  \u2192 Emotional: ${cs.emotional_state}`);
-  if (cs.physical_state)  lines.push(`  \u2192 Physical: ${cs.physical_state}`);
-  const know = npc.knowledge || {};
-  const intel = (know.specific_intel || []).filter(Boolean);
-  const gates = know.visibility_gates || {};
-  const hidden = Object.entries(gates).filter(([, v]) => v === false || v === 'hidden');
-  if (intel.length || hidden.length) {
-    lines.push('Knowledge:');
-    intel.forEach(i => lines.push(`  [KNOWS] ${typeof i === 'string' ? i : i.fact}`));
-    hidden.forEach(([k]) => lines.push(`  [DOES NOT KNOW] ${k.replace(/_/g, ' ')}`));
-  }
-  if (npc.critical_note) lines.push(`!! CRITICAL: ${npc.critical_note}`);
-  return lines.join('\n');
+    appearanceText = npc.physical_description;
+  }
+  const know   = npc.knowledge || {};
+  const intel  = intelFacts(npc);
+  const hidden = Object.entries(know.visibility_gates || {})
+    .filter(([, v]) => v === false || v === 'hidden')
+    .map(([k]) => k);
+  // Only relationships to NPCs who are also being injected this turn
+  const rels = Object.entries(npc.relationships || {})
+    .filter(([f, r]) => r && sceneFiles.includes(f) && gistFiles[f] !== npc)
+    .map(([f, r]) => ({ file: f, name: gistFiles[f]?.display_name || f, relationship: r }));
+  const keep = stateOnly && new Set([...NPC_STATE_FIELDS, ...getCustomCategories()
+    .filter(cat => cat.target === 'npc' && cat.path).map(cat => cat.path.split('.')[0])]);
+  return {
+    ...(keep ? Object.fromEntries(Object.entries(npc).filter(([k]) => keep.has(k))) : npc),
+    card_linked:     stateOnly,
+    tracked:         trackedValues(cat => cat.target === 'npc', () => npc),
+    relationships_in_scene: rels,
+    appearance_text: stateOnly ? '' : appearanceText,
+    known_intel:     intel,
+    unknown_gates:   hidden,
+    has_knowledge:   intel.length > 0 || hidden.length > 0
+  };
+}
+
+function renderNpcToText(npc, sceneFiles = []) {
+  if (!npc?.display_name) return null;
+  return renderWithTemplate('npc', npcTemplateView(npc, sceneFiles, isCardInChat(npc)));
+}
+
+// One-line form used when the token budget can't fit the full sheet
+function renderNpcCompact(npc) {
+  if (!npc?.display_name) return null;
+  const cs    = npc.current_state || {};
+  const alias = npc.alias ? ` "${npc.alias}"` : '';
+  const parts = [`[NPC: ${npc.display_name.toUpperCase()}${alias}]`];
+  if (cs.relationship_to_user_character) parts.push(`Rel: ${cs.relationship_to_user_character}`);
+  if (cs.emotional_state)                parts.push(`Emotional: ${cs.emotional_state}`);
+  return parts.join(' | ');
+}
+
+function renderNpcMemorial(npc) {
+  const alias = npc.alias ? ` "${npc.alias}"` : '';
+  const when  = npc.status_since ? ` (${npc.status_since})` : '';
+  const how   = npc.status_note ? ` \u2014 ${npc.status_note}` : '';
+  return `[DECEASED: ${npc.display_name.toUpperCase()}${alias}]${when}${how}. Can be remembered, never appears or acts.`;
 }
 
 // ═══════════════════════════════════════════════════════════════
 // 2. SMART NPC SELECTION
 // ═══════════════════════════════════════════════════════════════
 
-function getRecentMessageText() {
-  const ctx = getContext();
-  if (!ctx?.chat?.length) return '';
-  return ctx.chat.slice(-SCAN_DEPTH).map(m => m.mes || '').join(' ').toLowerCase();
+// ── Mention detection ────────────────────────────────────────
+// Names match on word boundaries ("Al" never hits "also"). Trigger keywords
+// work like lorebook keys: plain words, or /regex/flags.
+
+function wordRegex(term) {
+  const esc = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![\\p{L}\\p{N}_])${esc}(?![\\p{L}\\p{N}_])`, 'iu');
 }
 
-function scoreNpc(npc, recentText) {
-  let score = 0;
+function triggerRegex(trigger) {
+  const m = String(trigger).match(/^\/(.+)\/([a-z]*)$/i);
+  if (!m) return wordRegex(String(trigger));
+  try { return new RegExp(m[1], m[2].replace(/[gy]/g, '')); }   // stateful flags would break .test()
+  catch { return null; }
+}
+
+// Best mention of an NPC in one message → { kind, via } or null.
+// kind maps to a weight in the scoring config at score time.
+function findMention(npc, text) {
   const names = [npc.display_name, npc.alias, ...(npc.aliases || [])].filter(Boolean);
   for (const name of names) {
-    if (recentText.includes(name.toLowerCase()))         { score += 10; break; }
-    const first = name.split(/\s+/)[0].toLowerCase();
-    if (first.length > 3 && recentText.includes(first)) { score += 7;  break; }
+    if (wordRegex(name).test(text))                    return { kind: 'name',       via: 'named' };
+    const first = name.split(/\s+/)[0];
+    if (first.length > 3 && wordRegex(first).test(text)) return { kind: 'first_name', via: 'first name' };
+  }
+  for (const trig of npc.triggers || []) {
+    if (!trig) continue;
+    const re = triggerRegex(trig);
+    if (re?.test(text)) return { kind: 'trigger', via: `keyword "${trig}"` };
+  }
+  return null;
+}
+
+// ── Recency memory ───────────────────────────────────────────
+// Per chat: which message each NPC was last mentioned in. Mentions decay
+// linearly to zero over getRecencyTurns() messages instead of a hard window.
+
+const DEFAULT_RECENCY_TURNS = 6;
+
+function getRecencyTurns() {
+  return parseInt(localStorage.getItem(`${STORE_PREFIX}recency_turns`) || DEFAULT_RECENCY_TURNS, 10) || DEFAULT_RECENCY_TURNS;
+}
+function setRecencyTurns(n) {
+  const clamped = Math.max(1, Math.min(50, parseInt(n, 10) || DEFAULT_RECENCY_TURNS));
+  localStorage.setItem(`${STORE_PREFIX}recency_turns`, clamped);
+  return clamped;
+}
+
+function updateSightings() {
+  const chat = getContext()?.chat;
+  if (!chat?.length) return;
+  const mem = chatState.sightings;
+  // Messages were deleted — forget sightings that pointed past the end
+  if (chatState.scannedTo >= chat.length) {
+    for (const [file, seen] of Object.entries(mem)) if (seen.at >= chat.length) delete mem[file];
+    chatState.scannedTo = chat.length - 1;
+  }
+  // Nothing to match yet (Gist still loading) — leave these messages unscanned
+  const npcs = Object.entries(gistFiles).filter(([file, npc]) => file.startsWith('npc_') && npc && typeof npc === 'object');
+  if (!npcs.length) return;
+  const start = Math.max(chatState.scannedTo + 1, chat.length - getRecencyTurns());
+  let changed = false;
+  for (let i = start; i < chat.length; i++) {
+    const text = chat[i]?.mes || '';
+    for (const [file, npc] of npcs) {
+      const hit = findMention(npc, text);
+      if (hit) { mem[file] = { at: i, ...hit }; changed = true; }
+    }
+  }
+  chatState.scannedTo = chat.length - 1;
+  if (changed) saveChatState();
+}
+
+// ── Character cards ──────────────────────────────────────────
+// An NPC file can name the SillyTavern card that plays it. While that
+// card is in the chat (solo or group member) the card is the sheet, so
+// only tracked state is injected, and the NPC is boosted on its turn.
+
+function chatCardNames() {
+  const ctx   = getContext();
+  const chars = ctx?.characters || [];
+  if (ctx?.groupId) {
+    const group = (ctx.groups || []).find(g => g.id === ctx.groupId);
+    return (group?.members || []).map(avatar => chars.find(c => c.avatar === avatar)?.name).filter(Boolean);
+  }
+  const solo = chars[ctx?.characterId]?.name;
+  return solo ? [solo] : [];
+}
+
+function cardMatches(npc, cardName) {
+  return !!(npc?.character_card && cardName)
+    && npc.character_card.trim().toLowerCase() === cardName.trim().toLowerCase();
+}
+
+function isCardInChat(npc) {
+  return !!npc?.character_card && chatCardNames().some(name => cardMatches(npc, name));
+}
+
+// ── Scoring ──────────────────────────────────────────────────
+// Mention weights plus field rules, editable per scenario in Scenario Config.
+// A rule matches when the NPC field at `field` matches `pattern` (case-
+// insensitive regex; empty pattern = field is non-empty). The pseudo-field
+// "@location" matches NPCs at the PC's current location. Within a `group`
+// only the first matching rule counts.
+
+const DEFAULT_SCORING = {
+  name_weight:       10,
+  first_name_weight: 7,
+  trigger_weight:    6,
+  speaker_weight:    15,   // linked card is the group member about to speak
+  rules: [
+    { label: 'at PC location', field: '@location', pattern: '', weight: 8, group: 'presence' },
+    { label: 'present',  field: 'current_state.physical_state',                 pattern: 'present|scene|with pc|same room', weight: 8, group: 'presence' },
+    { label: 'hostile',  field: 'current_state.relationship_to_user_character', pattern: 'hostile|enemy|threat', weight: 5, group: '' },
+    { label: 'ally',     field: 'current_state.relationship_to_user_character', pattern: 'trusted|loyal|ally',   weight: 4, group: '' },
+    { label: 'romantic', field: 'current_state.relationship_to_user_character', pattern: 'romantic|love|crush',  weight: 6, group: '' },
+    { label: 'has intel', field: 'knowledge.specific_intel', pattern: '', weight: 1, group: '' }
+  ]
+};
+
+function getScoring() {
+  const saved = getScenarioConfig().scoring;
+  return saved && Array.isArray(saved.rules) ? { ...DEFAULT_SCORING, ...saved } : DEFAULT_SCORING;
+}
+
+const rulePatternCache = new Map();
+function rulePattern(pattern) {
+  if (!rulePatternCache.has(pattern)) {
+    let re = null;
+    try { re = new RegExp(pattern, 'iu'); } catch { /* reported by the editor on save */ }
+    rulePatternCache.set(pattern, re);
   }
-  const phys = (npc.current_state?.physical_state || '').toLowerCase();
-  if (/present|scene|with pc|same room/.test(phys)) score += 8;
-  const rel = (npc.current_state?.relationship_to_user_character || '').toLowerCase();
-  if (/hostile|enemy|threat/.test(rel))   score += 5;
-  if (/trusted|loyal|ally/.test(rel))     score += 4;
-  if (/romantic|love|crush/.test(rel))    score += 6;
-  if ((npc.knowledge?.specific_intel || []).length > 0) score += 1;
-  return score;
+  return rulePatternCache.get(pattern);
 }
 
+function ruleMatches(rule, npc, file) {
+  if (rule.field === '@location') {
+    return !!file && (gistFiles[currentLocationFile()]?.npcs_present || []).includes(file);
+  }
+  const v = deepGet(npc, rule.field || '');
+  if (!rule.pattern) {
+    if (Array.isArray(v)) return v.length > 0;
+    if (v && typeof v === 'object') return Object.keys(v).length > 0;
+    return v != null && String(v).trim() !== '';
+  }
+  if (v == null) return false;
+  const text = Array.isArray(v) ? v.map(x => typeof x === 'string' ? x : JSON.stringify(x)).join('\n')
+    : typeof v === 'object' ? JSON.stringify(v) : String(v);
+  return rulePattern(rule.pattern)?.test(text) ?? false;
+}
+
+// Returns { score, reasons } — reasons feed the panel summary
+function scoreNpc(npc, file, lastIdx, scoring = getScoring()) {
+  let score = 0;
+  const reasons = [];
+  const add = (pts, why) => { score += pts; reasons.push(`${why} (${pts >= 0 ? '+' : ''}${pts})`); };
+
+  const seen = chatState.sightings[file];
+  if (seen) {
+    const age    = lastIdx - seen.at;
+    const decay  = getRecencyTurns();
+    const weight = seen.kind ? (Number(scoring[`${seen.kind}_weight`]) || 0) : (seen.weight || 0);
+    const pts    = Math.round(weight * (1 - age / decay));
+    if (pts > 0) add(pts, `${seen.via} ${age === 0 ? 'in latest msg' : `${age} msg${age !== 1 ? 's' : ''} ago`}`);
+  }
+  if (draftedCard && cardMatches(npc, draftedCard) && Number(scoring.speaker_weight)) {
+    add(Number(scoring.speaker_weight), 'speaking next');
+  }
+  const usedGroups = new Set();
+  for (const rule of scoring.rules) {
+    if (!rule || !Number(rule.weight)) continue;
+    if (rule.group && usedGroups.has(rule.group)) continue;
+    if (!ruleMatches(rule, npc, file)) continue;
+    if (rule.group) usedGroups.add(rule.group);
+    add(Number(rule.weight), rule.label || rule.field);
+  }
+  return { score, reasons };
+}
+
+// Every active NPC that scored or is pinned, pins first then best score:
+// [{ npc, file, score, reasons, pinned }]. Excluded NPCs never appear,
+// nor do absent/dead/archived ones — dead NPCs get a memorial line instead.
+function rankNpcs() {
+  updateSightings();
+  const lastIdx = (getContext()?.chat?.length || 1) - 1;
+  const { pinned, excluded } = chatState;
+  return Object.entries(gistFiles)
+    .filter(([k, v]) => k.startsWith('npc_') && k.endsWith('.json') && v && !excluded.includes(k) && npcStatus(v) === 'active')
+    .map(([file, npc]) => {
+      const r = { npc, file, ...scoreNpc(npc, file, lastIdx), pinned: pinned.includes(file) };
+      if (r.pinned) r.reasons.unshift('pinned');
+      return r;
+    })
+    .filter(x => x.score > 0 || x.pinned)
+    .sort((a, b) => (b.pinned - a.pinned) || (b.score - a.score));
+}
+
+// Pins always go in and use up cap slots first; the rest fill what's left
 function selectRelevantNpcs() {
-  const recentText = getRecentMessageText();
-  return allNpcFiles()
-    .map(npc => ({ npc, score: scoreNpc(npc, recentText) }))
-    .filter(x => x.score > 0)
-    .sort((a, b) => b.score - a.score)
-    .slice(0, getMaxNpcs())
-    .map(x => x.npc);
+  const ranked = rankNpcs();
+  const pins   = ranked.filter(r => r.pinned);
+  const rest   = ranked.filter(r => !r.pinned).slice(0, Math.max(0, getMaxNpcs() - pins.length));
+  return [...pins, ...rest].map(x => x.npc);
+}
+
+// Dead NPCs named within the mention memory window — they get one line
+// so the model remembers they're gone instead of writing them back in
+function memorialNpcs() {
+  const lastIdx = (getContext()?.chat?.length || 1) - 1;
+  return Object.entries(gistFiles)
+    .filter(([k, v]) => k.startsWith('npc_') && v?.display_name && npcStatus(v) === 'dead' && !chatState.excluded.includes(k))
+    .filter(([k]) => {
+      const seen = chatState.sightings[k];
+      return chatState.pinned.includes(k) || (seen && lastIdx - seen.at < getRecencyTurns());
+    })
+    .map(([, npc]) => npc);
+}
+
+function setNpcStatus(file, status, note = '', since = worldState().in_world_date || '') {
+  const npc = gistFiles[file];
+  if (!npc) return;
+  npc.status = status;
+  if (status === 'active') { delete npc.status_note; delete npc.status_since; return; }
+  npc.status_note  = note;
+  npc.status_since = since;
+}
+
+function isPinned(npc) {
+  return chatState.pinned.includes(fileOfNpc(npc));
+}
+
+// Pin and exclude are mutually exclusive; toggling one clears the other
+function togglePin(file) {
+  const { pinned, excluded } = chatState;
+  chatState.excluded = excluded.filter(f => f !== file);
+  chatState.pinned   = pinned.includes(file) ? pinned.filter(f => f !== file) : [...pinned, file];
+  saveChatState();
+  rebuildContextInjection();
+  updatePanelSummary();
+}
+
+function toggleExclude(file) {
+  const { pinned, excluded } = chatState;
+  chatState.pinned   = pinned.filter(f => f !== file);
+  chatState.excluded = excluded.includes(file) ? excluded.filter(f => f !== file) : [...excluded, file];
+  saveChatState();
+  rebuildContextInjection();
+  updatePanelSummary();
 }
 
 // ═══════════════════════════════════════════════════════════════
 // 3. PROMPT INJECTION
 // ═══════════════════════════════════════════════════════════════
 
-function injectWorldState() {
-  const ctx = getContext();
-  if (!ctx?.setExtensionPrompt) return;
-  const combined = [renderWorldState(), renderArcEvents()].filter(Boolean).join('\n\n');
-  ctx.setExtensionPrompt(`${MODULE}_world`, combined, 1, 0, false, null);
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// Trim a block line-by-line from the bottom until it fits
+function fitToBudget(text, budget) {
+  if (!text || estimateTokens(text) <= budget) return text;
+  const lines = text.split('\n');
+  while (lines.length && estimateTokens(lines.join('\n') + '\n…') > budget) lines.pop();
+  return lines.length ? lines.join('\n') + '\n…' : '';
 }
 
-function injectNpcs() {
+// Fit the selected NPCs into the remaining budget: memorial lines go
+// first, then the lowest-scoring sheets drop to the compact one-liner,
+// then get removed.
+function planNpcInjection(budget, selected, dead = []) {
+  const files   = selected.map(fileOfNpc);
+  const entries = selected
+    .map(npc => ({ npc, full: renderNpcToText(npc, files), compact: renderNpcCompact(npc), mode: 'full' }))
+    .filter(e => e.full);
+  const memorials = dead.map(npc => ({ npc, text: renderNpcMemorial(npc) }));
+  const dropped = [];
+  const cost = () => estimateTokens(renderNpcBlock(entries, memorials));
+
+  while (memorials.length && cost() > budget) dropped.unshift(memorials.pop().npc);
+  // Pins sit at the front, so they're compacted last and never dropped
+  for (let i = entries.length - 1; i >= 0 && cost() > budget; i--) entries[i].mode = 'compact';
+  while (cost() > budget) {
+    const i = entries.findLastIndex(e => !isPinned(e.npc));
+    if (i === -1) break;
+    dropped.unshift(entries.splice(i, 1)[0].npc);
+  }
+  return { entries, memorials, dropped };
+}
+
+function renderNpcBlock(entries, memorials) {
+  const parts = [];
+  if (entries.length)   parts.push(`=== ACTIVE NPCs (${entries.length}) ===\n${entries.map(e => e[e.mode]).join('\n\n')}`);
+  if (memorials.length) parts.push(`=== DECEASED ===\n${memorials.map(m => m.text).join('\n')}`);
+  return parts.join('\n\n');
+}
+
+function buildInjectionPlan() {
+  const budget = getTokenBudget() || Infinity;
+  const world  = fitToBudget([renderWorldState(), renderArcEvents()].filter(Boolean).join('\n\n'), budget);
+  const loc    = fitToBudget(renderLocation(), budget - estimateTokens(world));
+  const selected = selectRelevantNpcs();
+  const files  = selected.map(fileOfNpc);
+  let left     = budget - estimateTokens(world) - estimateTokens(loc);
+  const inv    = fitToBudget(renderInventory(files), left);
+  left        -= estimateTokens(inv);
+  const fac    = fitToBudget(renderFactions(files), left);
+  left        -= estimateTokens(fac);
+  const npcs   = planNpcInjection(left, selected, memorialNpcs());
+  return { world, loc, inv, fac, ...npcs };
+}
+
+function setBlockPrompt(block, text) {
   const ctx = getContext();
   if (!ctx?.setExtensionPrompt) return;
-  const selected = selectRelevantNpcs();
-  if (!selected.length) { ctx.setExtensionPrompt(`${MODULE}_npcs`, '', 1, 0, false, null); return; }
-  const rendered = selected.map(renderNpcToText).filter(Boolean).join('\n\n');
-  ctx.setExtensionPrompt(`${MODULE}_npcs`, `=== ACTIVE NPCs (${selected.length}) ===\n${rendered}`, 1, 0, false, null);
+  const s = getInjectionSettings(block);
+  ctx.setExtensionPrompt(`${MODULE}_${block}`, text || '', s.position, s.depth, s.scan, s.role);
+}
+
+function injectWorldState(plan) {
+  setBlockPrompt('world', plan.world);
+}
+
+function injectLocation(plan) {
+  setBlockPrompt('loc', plan.loc);
+}
+
+function injectInventory(plan) {
+  setBlockPrompt('inv', plan.inv);
+}
+
+function injectFactions(plan) {
+  setBlockPrompt('fac', plan.fac);
+}
+
+function injectNpcs(plan) {
+  setBlockPrompt('npcs', renderNpcBlock(plan.entries, plan.memorials));
 }
 
 function rebuildContextInjection() {
-  const ctx = getContext();
   if (!extensionEnabled) {
-    if (ctx?.setExtensionPrompt) {
-      ctx.setExtensionPrompt(`${MODULE}_world`, '', 1, 0, false, null);
-      ctx.setExtensionPrompt(`${MODULE}_npcs`,  '', 1, 0, false, null);
-    }
+    for (const block of Object.keys(INJECTION_BLOCKS)) setBlockPrompt(block, '');
     return;
   }
-  injectWorldState();
-  injectNpcs();
+  const plan = buildInjectionPlan();
+  injectWorldState(plan);
+  injectLocation(plan);
+  injectInventory(plan);
+  injectFactions(plan);
+  injectNpcs(plan);
+  injectForgeInstructions();
+}
+
+// ── wst blocks ────────────────────────────────────────────────
+// Optional instructions so the roleplay model writes its own wst block
+// (the zero-call extraction path). Outside the token budget — it's a
+// fixed cost the user opts into.
+function injectForgeInstructions() {
+  const on = getWstSettings().inject && !!gistFiles['world_state.json'];
+  setBlockPrompt('wst', on ? buildForgeInstructions(gistFiles) : '');
+}
+
+// Drop past blocks from the outgoing prompt, one message at a time. Chat
+// completion: assistant turns in the message list. Text completion: the
+// chat messages before they're combined into one prompt string.
+function stripPromptMessages(data) {
+  if (!extensionEnabled || data?.dryRun || !getWstSettings().strip) return;
+  for (const msg of data?.chat || []) {
+    if (msg?.role !== 'assistant') continue;
+    if (typeof msg.content === 'string') msg.content = stripForgeBlocks(msg.content);
+    else if (Array.isArray(msg.content)) {
+      for (const part of msg.content) if (part?.type === 'text') part.text = stripForgeBlocks(part.text);
+    }
+  }
+}
+
+function stripPromptText(data) {
+  if (!extensionEnabled || data?.dryRun || !getWstSettings().strip) return;
+  for (const mes of data?.finalMesSend || []) {
+    if (typeof mes?.message === 'string') mes.message = stripForgeBlocks(mes.message);
+  }
+}
+
+// Wrap rendered blocks in a <details> so they read as a fold, or hide them
+// outright. The message text itself is untouched — extraction still sees it.
+function foldForgeBlocks() {
+  const { display } = getWstSettings();
+  document.body.classList.toggle('sst-wst-hidden', display === 'hide');
+  document.querySelectorAll('#chat .mes_text pre > code').forEach(code => {
+    const pre = code.parentElement;
+    if (pre.parentElement?.classList.contains('sst-wst-fold')) return;
+    if (!/(^|\s)(language-)?wst(\s|$)/i.test(code.className)) return;
+    const fold = document.createElement('details');
+    fold.className = 'sst-wst-fold';
+    fold.open = display === 'show';
+    fold.innerHTML = '<summary>📋 tracker block</summary>';
+    pre.replaceWith(fold);
+    fold.appendChild(pre);
+  });
 }
 
 // ═══════════════════════════════════════════════════════════════
@@ -224,6 +770,25 @@ function persistLocal() {
   } catch (e) { console.warn('[ScenarioTracker] Local persist failed:', e); }
 }
 
+function freshChatState() {
+  return { sightings: {}, scannedTo: -1, pinned: [], excluded: [], applied: [] };
+}
+
+function loadChatState() {
+  chatState = freshChatState();
+  if (!currentChatId) return;
+  try {
+    const raw = localStorage.getItem(`${STORE_PREFIX}chat_${currentChatId}`);
+    if (raw) chatState = { ...chatState, ...JSON.parse(raw) };
+  } catch { /* corrupt entry — start fresh */ }
+}
+
+function saveChatState() {
+  if (!currentChatId) return;
+  try { localStorage.setItem(`${STORE_PREFIX}chat_${currentChatId}`, JSON.stringify(chatState)); }
+  catch (e) { console.warn('[ScenarioTracker] Chat state persist failed:', e); }
+}
+
 function loadLocal() {
   if (!currentChatId) return false;
   try {
@@ -250,6 +815,11 @@ async function syncFromGist() {
     updateStatus('synced \u2713');
     updatePanelSummary();
     renderSecretsPanel();
+    renderQuestsPanel();
+    renderRosterPanel();
+    renderCalendarPreview();
+    queueArcReminders();
+    renderQueuePanel();
   } catch (err) {
     console.error('[ScenarioTracker] Gist fetch error:', err);
     updateStatus(`sync failed: ${err.message}`);
@@ -282,27 +852,46 @@ async function pushToGist() {
 // ═══════════════════════════════════════════════════════════════
 
 async function onMessageReceived() {
-  const ctx = getContext();
-  const messages = ctx?.chat;
+  const messages = getContext()?.chat;
   if (!messages?.length) return;
-  const lastMsg = messages[messages.length - 1];
-  if (!lastMsg || lastMsg.is_user) return;
+  await extractFromMessage(messages.length - 1);
+}
+
+// Extract one AI message. force skips the same-text dedupe (edits).
+// Proposals are tagged with the message + swipe they came from; a re-run
+// for the same swipe replaces whatever it proposed before.
+async function extractFromMessage(mesId, force = false) {
+  const msg = getContext()?.chat?.[mesId];
+  if (!msg || msg.is_user) return;
   if (!extensionEnabled) return;
 
-  const rawText   = lastMsg.mes || '';
+  // A Continue either grows the message in place or (rarely) lands as a
+  // fragment in a new one — either way only the added text is extracted
+  const cont   = takeContinue(mesId);
+  let rawText  = msg.mes || '';
+  let newText  = stripThinkingBlocks(rawText);
+  if (cont) {
+    if (rawText.startsWith(cont.raw)) newText = stripThinkingBlocks(rawText.slice(cont.raw.length));
+    else rawText = mergeWithPreviousIfContinue(rawText, cont.raw, true);
+  }
   const cleanText = stripThinkingBlocks(rawText);
-  if (cleanText === lastMessageText || !cleanText) return;
+  if ((!force && cleanText === lastMessageText) || !cleanText) return;
   lastMessageText = cleanText;
-  if (!gistFiles['world_state.json'] || isExtracting || isRescanning) return;
+  if (!newText || !gistFiles['world_state.json'] || isExtracting || isRescanning) return;
 
   rebuildContextInjection();
+  const source  = messageSource(mesId);
+  const earlier = cont ? [cont.source, source] : [source];
 
-  // Forge-first: parse the ```wst block the AI already output — zero API calls
+  // Forge-first: parse the ```wst block the AI already output — zero API calls.
+  // The block covers the whole message, so it replaces everything proposed
+  // for it so far, continued or not.
   const forgeObj = extractForgeBlock(rawText);
   if (forgeObj) {
+    withdrawItems(item => earlier.some(src => sameSource(item.source, src)));
     const delta = normalizeForgeBlock(forgeObj, gistFiles);
     if (!deltaIsEmpty(delta)) {
-      proposeDelta(delta);
+      proposeDelta(delta, source);
       updateStatus('wst block parsed ✓');
     } else {
       updateStatus('idle ✓');
@@ -310,19 +899,15 @@ async function onMessageReceived() {
     return;
   }
 
-  // LLM fallback: no wst block found
+  // LLM fallback: no wst block found. A plain re-run starts over; a
+  // continuation keeps the earlier proposals and supersedes the ones it restates.
+  if (!cont) withdrawItems(item => sameSource(item.source, source));
   isExtracting = true;
-  updateStatus('extracting changes…');
+  updateStatus(cont ? 'extracting continued text…' : 'extracting changes…');
   try {
-    const prompt = buildExtractionPrompt(cleanText, {
-      world_state:  worldState(),
-      master_index: masterIndex(),
-      arc_events:   arcEvents(),
-      active_npcs:  buildActiveNpcContext()
-    });
-    const raw   = await runExtractionCall(prompt);
-    const delta = parseDelta(raw);
-    if (!deltaIsEmpty(delta)) proposeDelta(delta);
+    const prompt = buildExtractionPrompt(newText, buildExtractionState(), cont ? cont.text : '');
+    const delta  = await extractDelta(prompt);
+    if (!deltaIsEmpty(delta)) proposeDelta(delta, source, cont ? earlier : []);
     else updateStatus('idle ✓');
   } catch (err) {
     console.error('[ScenarioTracker] Extraction error:', err);
@@ -332,14 +917,70 @@ async function onMessageReceived() {
   }
 }
 
+// Snapshot the last message when a Continue starts, so the reply can be
+// split into what was already there and what was added
+function continueSnapshot() {
+  const chat = getContext()?.chat || [];
+  const msg  = chat[chat.length - 1];
+  if (!msg || msg.is_user || !msg.mes) return null;
+  return { source: messageSource(chat.length - 1), raw: msg.mes, text: stripThinkingBlocks(msg.mes) };
+}
+
+// Consume the pending Continue snapshot if it belongs to this message —
+// the same one, or a fragment posted right after it
+function takeContinue(mesId) {
+  const base = continueBase;
+  continueBase = null;
+  if (!base || !sourceIsLive(base.source)) return null;
+  return mesId === base.source.mesId || mesId === base.source.mesId + 1 ? base : null;
+}
+
+// Run the extraction call and recover a delta from the reply. A reply that
+// can't be repaired gets one corrective retry if enabled; null otherwise.
+async function extractDelta(prompt) {
+  const raw = await runExtractionCall(prompt);
+  let result = recoverJson(stripThinkingBlocks(String(raw ?? '')));
+  if (result.repairs.length) console.info('[ScenarioTracker] Extractor reply repaired:', result.repairs.join(', '));
+  if (result.value) return result.value;
+  console.warn('[ScenarioTracker] Extractor reply unparseable:', result.error, '| raw:', String(raw).slice(0, 200));
+  if (!getParseRetry()) return null;
+
+  updateStatus('reply was not valid JSON \u2014 asking again\u2026');
+  const retryRaw = await runExtractionCall(buildRetryPrompt(prompt, raw, result.error));
+  result = recoverJson(stripThinkingBlocks(String(retryRaw ?? '')));
+  if (!result.value) console.warn('[ScenarioTracker] Retry also unparseable:', result.error);
+  return result.value;
+}
+
+function buildExtractionState() {
+  return {
+    world_state:     worldState(),
+    master_index:    masterIndex(),
+    arc_events:      arcEvents(),
+    active_npcs:     buildActiveNpcContext(),
+    known_locations: allLocationEntries().map(([, loc]) => loc.display_name).filter(Boolean),
+    factions:        allFactionEntries().map(([file, fac]) => ({ file, name: fac.display_name, pc_standing: fac.pc_standing, standings: fac.standings })),
+    quests:          allQuestEntries().map(([, q]) => ({
+      name: q.display_name, status: q.status,
+      steps: (q.steps || []).map((st, i) => `${i + 1}. [${st.done ? 'x' : ' '}] ${st.text}`)
+    })),
+    tracked_items:   allItemEntries().map(([, it]) => ({ name: it.display_name, owner: it.owner, status: it.status })),
+    custom:          Object.fromEntries(getCustomCategories().filter(cat => cat.target !== 'npc')
+      .map(cat => [cat.name, deepGet(gistFiles[cat.target], cat.path) ?? null]))
+  };
+}
 
 function buildActiveNpcContext() {
-  return allNpcFiles().map(n => ({
+  return allNpcFiles().filter(n => npcStatus(n) !== 'archived').map(n => ({
     file:          Object.entries(gistFiles).find(([, v]) => v === n)?.[0],
     display_name:  n.display_name,
     alias:         n.alias,
+    status:        npcStatus(n),
     current_state: n.current_state,
-    knowledge:     n.knowledge
+    knowledge:     n.knowledge,
+    relationships: n.relationships,
+    ...Object.fromEntries(getCustomCategories().filter(cat => cat.target === 'npc')
+      .map(cat => [cat.name, deepGet(n, cat.path) ?? null]))
   }));
 }
 
@@ -385,7 +1026,7 @@ async function rescanHistory(count = 10, forgeOnly = false) {
     const forgeObj = extractForgeBlock(msg.raw);
     if (forgeObj) {
       const delta = normalizeForgeBlock(forgeObj, gistFiles);
-      if (!deltaIsEmpty(delta)) { proposeDelta(delta); forgeFound++; }
+      if (!deltaIsEmpty(delta)) { proposeDelta(delta, messageSource(msg.idx)); forgeFound++; }
     } else if (!forgeOnly) {
       // Only collect orphans that mention at least one known NPC by name/alias —
       // skips pure atmosphere prose with no trackable characters
@@ -431,14 +1072,8 @@ async function rescanHistory(count = 10, forgeOnly = false) {
   while (attempts < MAX_ATTEMPTS && !rescanAbort) {
     attempts++;
     try {
-      const prompt = buildExtractionPrompt(batchedText, {
-        world_state:  worldState(),
-        master_index: masterIndex(),
-        arc_events:   arcEvents(),
-        active_npcs:  buildActiveNpcContext()
-      });
-      const raw   = await runExtractionCall(prompt);
-      const delta = parseDelta(raw);
+      const prompt = buildExtractionPrompt(batchedText, buildExtractionState());
+      const delta  = await extractDelta(prompt);
       if (!deltaIsEmpty(delta)) { proposeDelta(delta); llmFound = 1; }
       break;  // success
     } catch (err) {
@@ -475,20 +1110,143 @@ async function rescanHistory(count = 10, forgeOnly = false) {
 // 6. APPROVE/DENY QUEUE — extracted deltas
 // ═══════════════════════════════════════════════════════════════
 
-function proposeDelta(delta) {
+// Dry-run a patch op against the current value → diff lines ([] when it
+// changes nothing), or null when it can't apply — recorded as a rejection.
+function previewOp(category, path, current, op) {
+  try {
+    const next = applyOp(current, op);
+    return JSON.stringify(next) === JSON.stringify(current) ? [] : diffOp(current, op);
+  } catch (err) {
+    rejectedChanges.push({ id: uid(), category, path, reason: err.message, value: op });
+    rejectedChanges = rejectedChanges.slice(-MAX_REJECTED);
+    return null;
+  }
+}
+
+// ── Disambiguation ────────────────────────────────────────────
+const NEW_NPC_CHOICE = '__new__';
+
+// Accepting resolves the name to the picked NPC (or a new one), remembers
+// it as an alias, and re-proposes the held changes as ordinary cards.
+function disambiguationCard(name, candidates, parts) {
+  const item = {
+    id: uid(), type: 'disambiguate', npcFile: null,
+    description: `Who is "${name}"? \u2014 held: ${[...new Set(parts.map(p => p.category))].join(', ')}`,
+    oldValue: null, newValue: null,
+    name, candidates,
+    choice: candidates[0]?.file || NEW_NPC_CHOICE,
+    applyFn: () => {
+      const isNew = item.choice === NEW_NPC_CHOICE;
+      const file  = isNew ? npcFilename(name) : item.choice;
+      if (isNew && !gistFiles[file]) gistFiles[file] = scaffoldNpcFile(name, '', '', '');
+      if (!isNew) rememberAlias(file, name);
+      const fragment = mergeFragments(parts.map(p => p.build(file)));
+      // After the accept finishes, so accept-all doesn't clear the follow-up cards
+      queueMicrotask(() => proposeDelta(fragment, item.source || null));
+    }
+  };
+  return item;
+}
+
+// The user's pick for an ambiguous name becomes an alias, so it resolves next time
+function rememberAlias(file, name) {
+  const npc = gistFiles[file];
+  if (!npc) return;
+  const known = [npc.display_name, npc.alias, ...(Array.isArray(npc.aliases) ? npc.aliases : [])]
+    .filter(n => typeof n === 'string').map(n => n.toLowerCase());
+  if (known.includes(name.toLowerCase())) return;
+  npc.aliases = [...(Array.isArray(npc.aliases) ? npc.aliases : []), name];
+}
+
+function mergeFragments(fragments) {
+  const isObj = v => !!v && typeof v === 'object' && !Array.isArray(v);
+  const merge = (into, from) => {
+    for (const [k, v] of Object.entries(from)) into[k] = isObj(into[k]) && isObj(v) ? merge({ ...into[k] }, v) : v;
+    return into;
+  };
+  return fragments.reduce((acc, f) => merge(acc, f), {});
+}
+
+// Validate a raw delta against the schema. NPC keys are fuzzy-resolved
+// against tracked NPCs plus any the same delta is introducing.
+function checkDelta(rawDelta) {
+  const incoming = (Array.isArray(rawDelta?.new_npcs) ? rawDelta.new_npcs : [])
+    .filter(spec => typeof spec?.display_name === 'string' && spec.display_name.trim())
+    .map(spec => [npcFilename(spec.display_name), spec]);
+  const entries = [...Object.entries(gistFiles).filter(([k, v]) => k.startsWith('npc_') && v && typeof v === 'object'), ...incoming];
+  const schema  = { ...DELTA_SCHEMA };
+  for (const cat of getCustomCategories()) schema[cat.name] = customCategorySchema(cat);
+  const resolveNpc  = key => fuzzyResolveFile(key, entries, 'npc');
+  // Patch targets: any tracked file; a bare name is tried as an NPC, then other entities
+  const resolveFile = key => {
+    if (gistFiles[key]) return { file: key, how: 'exact' };
+    const prefix = /^(npc|loc|item|faction|quest)_/i.exec(key)?.[1]?.toLowerCase();
+    if (prefix) return prefix === 'npc' ? resolveNpc(key) : fuzzyResolveFile(key, entityEntries(prefix), prefix);
+    const npcHit = resolveNpc(key);
+    if (npcHit?.file) return npcHit;
+    return ['faction', 'loc', 'item', 'quest']
+      .map(p => fuzzyResolveFile(key, entityEntries(p), p)).find(hit => hit?.file) || npcHit;
+  };
+  const result  = validateDelta(rawDelta, { resolveNpc, resolveFile }, schema);
+  for (const r of result.resolved) console.info(`[ScenarioTracker] resolved ${r.from} → ${r.to} (${r.how})`);
+  if (result.rejected.length) {
+    rejectedChanges.push(...result.rejected.map(r => ({ id: uid(), ...r })));
+    rejectedChanges = rejectedChanges.slice(-MAX_REJECTED);
+    console.warn('[ScenarioTracker] validator rejected:', result.rejected);
+  }
+  return result;
+}
+
+// Per-NPC cards never create the file — only a new NPC card does, so an
+// NPC introduced in the same delta must be accepted first
+function requireNpcFile(file) {
+  if (!gistFiles[file]) throw new Error(`${file} isn't tracked yet \u2014 accept its new NPC card first`);
+  return gistFiles[file];
+}
+
+// source: { mesId, swipeId, sendDate } of the message the delta came from, if any.
+// Pending items from any of the replaceFrom sources are dropped when a new
+// item restates the same thing (see itemSubject).
+function proposeDelta(rawDelta, source = null, replaceFrom = []) {
+  const { delta, rejected, ambiguous } = checkDelta(rawDelta);
   const newItems = [];
 
+  // New NPCs first — other cards in the same delta may target them
+  if (delta.new_npcs?.length) {
+    for (const spec of delta.new_npcs) {
+      const filename = npcFilename(spec.display_name);
+      if (gistFiles[filename]) continue;
+      newItems.push({
+        id: uid(), type: 'new_npc', npcFile: filename,
+        description: `New NPC: ${spec.display_name}${spec.alias ? ` (${spec.alias})` : ''} — ${spec.faction || 'unknown faction'}`
+          + (spec.appearance && Object.keys(spec.appearance).length ? ' + appearance' : ''),
+        oldValue: null, newValue: spec,
+        applyFn: () => {
+          // Merge rather than replace, in case the file turned up meanwhile
+          const npc = scaffoldNpcFile(spec.display_name, spec.alias, spec.faction, spec.first_appeared);
+          if (Array.isArray(spec.aliases)) npc.aliases = [...new Set([...npc.aliases, ...spec.aliases])];
+          if (spec.appearance) npc.appearance = { ...spec.appearance };
+          gistFiles[filename] = mergeFragments([npc, gistFiles[filename] || {}]);
+        }
+      });
+    }
+  }
+
   if (delta.npc_knowledge) {
     for (const [file, changes] of Object.entries(delta.npc_knowledge)) {
       const npc  = gistFiles[file];
       const name = npc?.display_name || file.replace(/npc_|\.json/g, '').replace(/_/g, ' ');
       for (const [field, newVal] of Object.entries(changes)) {
         const oldVal = deepGet(npc, field);
+        const diff   = isPatchOp(newVal) ? previewOp('npc_knowledge', `${file}.${field}`, oldVal, newVal) : null;
+        if (isPatchOp(newVal) && !diff?.length) continue;
         newItems.push({
           id: uid(), type: 'npc_knowledge', npcFile: file,
-          description: `${name}: knowledge — ${field.replace(/\./g, ' → ')} → ${JSON.stringify(newVal).slice(0, 80)}`,
-          oldValue: oldVal, newValue: newVal,
-          applyFn: () => { if (!gistFiles[file]) gistFiles[file] = {}; deepSet(gistFiles[file], field, newVal); }
+          description: diff
+            ? `${name}: knowledge — ${field.replace(/\./g, ' → ')}`
+            : `${name}: knowledge — ${field.replace(/\./g, ' → ')} → ${JSON.stringify(newVal).slice(0, 80)}`,
+          oldValue: oldVal, newValue: newVal, diff,
+          applyFn: () => { gistFiles[file] = patchFile(requireNpcFile(file), [[field, newVal]]); }
         });
       }
     }
@@ -504,7 +1262,7 @@ function proposeDelta(delta) {
         description: `${name}: relationship → ${rel}${old ? ` (was: ${old})` : ''}`,
         oldValue: old, newValue: rel,
         applyFn: () => {
-          if (!gistFiles[file]) gistFiles[file] = {};
+          requireNpcFile(file);
           gistFiles[file].current_state = gistFiles[file].current_state || {};
           gistFiles[file].current_state.relationship_to_user_character = rel;
         }
@@ -512,6 +1270,35 @@ function proposeDelta(delta) {
     }
   }
 
+  // Both sides of an NPC↔NPC shift travel on one card so they're accepted together
+  if (delta.npc_npc_relationship?.length) {
+    for (const pair of delta.npc_npc_relationship) {
+      const { a, b, a_to_b, b_to_a } = pair;
+      if (!a || !b) continue;
+      const nameA = gistFiles[a]?.display_name || a.replace(/npc_|\.json/g, '').replace(/_/g, ' ');
+      const nameB = gistFiles[b]?.display_name || b.replace(/npc_|\.json/g, '').replace(/_/g, ' ');
+      const oldAB = gistFiles[a]?.relationships?.[b];
+      const oldBA = gistFiles[b]?.relationships?.[a];
+      const sides = [];
+      if (a_to_b) sides.push(`${nameA} → ${nameB}: ${a_to_b}`);
+      if (b_to_a) sides.push(`${nameB} → ${nameA}: ${b_to_a}`);
+      if (!sides.length) continue;
+      newItems.push({
+        id: uid(), type: 'npc_npc_relationship', npcFile: a,
+        description: sides.join(' | '),
+        oldValue: (oldAB || oldBA) ? { [nameA]: oldAB, [nameB]: oldBA } : null,
+        newValue: pair,
+        applyFn: () => {
+          for (const [from, to, rel] of [[a, b, a_to_b], [b, a, b_to_a]]) {
+            if (!rel || !gistFiles[from]) continue;
+            gistFiles[from].relationships = gistFiles[from].relationships || {};
+            gistFiles[from].relationships[to] = rel;
+          }
+        }
+      });
+    }
+  }
+
   if (delta.npc_current_state) {
     for (const [file, state] of Object.entries(delta.npc_current_state)) {
       const npc  = gistFiles[file];
@@ -521,15 +1308,60 @@ function proposeDelta(delta) {
         description: `${name}: state — ${Object.entries(state).map(([k,v]) => `${k}: ${v}`).join('; ')}`,
         oldValue: npc?.current_state, newValue: state,
         applyFn: () => {
-          if (!gistFiles[file]) gistFiles[file] = {};
+          requireNpcFile(file);
           gistFiles[file].current_state = Object.assign(gistFiles[file].current_state || {}, state);
         }
       });
     }
   }
 
+  // Lifecycle: deaths, departures, returns
+  if (delta.npc_status) {
+    for (const [file, val] of Object.entries(delta.npc_status)) {
+      const status = val?.status;
+      const note   = val?.note;
+      const npc = gistFiles[file];
+      const old = npcStatus(npc);
+      if (!npc || !NPC_STATUSES.includes(status) || status === old) continue;
+      const since = worldState().in_world_date || '';
+      newItems.push({
+        id: uid(), type: 'npc_status', npcFile: file,
+        description: `${npc.display_name}: ${old} → ${status}${note ? ` — ${note}` : ''}`,
+        oldValue: old, newValue: { status, note },
+        warning: old === 'dead' ? '⚠ recorded as dead \u2014 make sure this isn\u2019t a flashback or a lookalike.' : null,
+        applyFn: () => setNpcStatus(file, status, note, since)
+      });
+    }
+  }
+
   // NPC alias updates — cape name changes, identity reveals, new names adopted
   // NPC appearance — AI described someone concretely, propose updating appearance fields
+  // Learned facts append to knowledge.specific_intel, skipping ones already known
+  if (delta.npc_learned) {
+    for (const [file, facts] of Object.entries(delta.npc_learned)) {
+      const npc   = gistFiles[file];
+      const name  = npc?.display_name || file.replace(/npc_|\.json/g, '').replace(/_/g, ' ');
+      const known = new Set(intelFacts(npc).map(f => f.toLowerCase()));
+      const fresh = [...new Set(facts.map(f => f.trim()).filter(Boolean))].filter(f => !known.has(f.toLowerCase()));
+      if (!fresh.length) continue;
+      newItems.push({
+        id: uid(), type: 'npc_learned', npcFile: file,
+        description: `${name}: learned — ${fresh.join('; ').slice(0, 160)}`,
+        oldValue: null, newValue: fresh,
+        applyFn: () => {
+          requireNpcFile(file);
+          const know = gistFiles[file].knowledge = gistFiles[file].knowledge || {};
+          if (!Array.isArray(know.specific_intel)) know.specific_intel = [];
+          const have = new Set(intelFacts(gistFiles[file]).map(f => f.toLowerCase()));
+          const when = worldState().in_world_date || '';
+          for (const fact of fresh) {
+            if (!have.has(fact.toLowerCase())) know.specific_intel.push({ fact, learned: when });
+          }
+        }
+      });
+    }
+  }
+
   if (delta.npc_appearance) {
     for (const [file, appData] of Object.entries(delta.npc_appearance)) {
       const npc  = gistFiles[file];
@@ -550,7 +1382,7 @@ function proposeDelta(delta) {
         oldValue: { ...old },
         newValue: appData,
         applyFn: () => {
-          if (!gistFiles[file]) gistFiles[file] = {};
+          requireNpcFile(file);
           gistFiles[file].appearance = Object.assign(
             {}, gistFiles[file].appearance || {}, appData
           );
@@ -584,7 +1416,7 @@ function proposeDelta(delta) {
         oldValue: { alias: oldAlias, aliases: oldAliases },
         newValue: aliasData,
         applyFn: () => {
-          if (!gistFiles[file]) gistFiles[file] = {};
+          requireNpcFile(file);
           if (newAlias)   gistFiles[file].alias   = newAlias;
           if (newAliases) gistFiles[file].aliases  = newAliases;
         }
@@ -611,15 +1443,46 @@ function proposeDelta(delta) {
 
   if (delta.world_state) {
     for (const [field, newVal] of Object.entries(delta.world_state)) {
-      const old = worldState()[field];
+      const old  = deepGet(worldState(), field);
+      const diff = isPatchOp(newVal) ? previewOp('world_state', field, old, newVal) : null;
+      if (isPatchOp(newVal) && !diff?.length) continue;
       newItems.push({
         id: uid(), type: 'world_state', npcFile: null,
-        description: `World state: ${field} → ${JSON.stringify(newVal).slice(0, 80)}`,
-        oldValue: old, newValue: newVal,
+        description: diff ? `World state: ${field}` : `World state: ${field} → ${JSON.stringify(newVal).slice(0, 80)}`,
+        oldValue: old, newValue: newVal, diff,
+        applyFn: () => {
+          gistFiles['world_state.json'] = patchFile(gistFiles['world_state.json'], [[field, newVal]]);
+        }
+      });
+    }
+  }
+
+  // Patch ops — one card per file, all of its ops applied together or not at all
+  if (delta.patch?.length) {
+    const byFile = new Map();
+    for (const { file, path, ...op } of delta.patch) {
+      if (!byFile.has(file)) byFile.set(file, []);
+      byFile.get(file).push([path, op]);
+    }
+    for (const [file, changes] of byFile) {
+      // Preview on a running copy so several ops on one path stack
+      let preview = gistFiles[file];
+      const diff  = [];
+      const ok    = changes.every(([path, op]) => {
+        const lines = previewOp('patch', `${file}: ${path}`, deepGet(preview, path), op);
+        if (!lines) return false;
+        diff.push(...lines.map(l => ({ ...l, text: `${path}: ${l.text}` })));
+        preview = patchFile(preview, [[path, op]]);
+        return true;
+      });
+      if (!ok || !diff.length) continue;
+      newItems.push({
+        id: uid(), type: 'patch', npcFile: file.startsWith('npc_') ? file : null,
+        description: `${gistFiles[file]?.display_name || file}: ${changes.map(([path]) => path).join(', ')}`,
+        oldValue: null, newValue: changes, diff,
         applyFn: () => {
-          const ws = gistFiles['world_state.json'] || {};
-          ws[field] = newVal;
-          gistFiles['world_state.json'] = ws;
+          if (!gistFiles[file]) throw new Error(`${file} is no longer tracked`);
+          gistFiles[file] = patchFile(gistFiles[file], changes);
         }
       });
     }
@@ -652,9 +1515,22 @@ function proposeDelta(delta) {
 
   if (delta.in_world_date) {
     const old = worldState().in_world_date;
+    const cal = getCalendar();
+    const from = parseDate(old, cal);
+    const to   = parseDate(delta.in_world_date, cal);
+    let elapsed = '', warning = '';
+    if (from && to) {
+      const mins = elapsedMinutes(from, to, cal);
+      if (mins > 0)      elapsed = ` (+${formatElapsed(mins, cal)})`;
+      else if (mins < 0) warning = `⚠ moves the date BACKWARD by ${formatElapsed(mins, cal)}`;
+      else               elapsed = ' (same day)';
+    } else if (old && !to) {
+      warning = 'date not recognised by the calendar — elapsed time unknown';
+    }
     newItems.push({
       id: uid(), type: 'date_advance', npcFile: null,
-      description: `Date: ${old || '?'} → ${delta.in_world_date}`,
+      description: `Date: ${old || '?'} → ${delta.in_world_date}${elapsed}`,
+      warning,
       oldValue: old, newValue: delta.in_world_date,
       applyFn: () => {
         const ws = gistFiles['world_state.json'] || {};
@@ -664,26 +1540,260 @@ function proposeDelta(delta) {
     });
   }
 
-  if (delta.new_npcs?.length) {
-    for (const spec of delta.new_npcs) {
-      const filename = npcFilename(spec.display_name);
-      if (gistFiles[filename]) continue;
+  // PC move — skipped when the PC is already there
+  if (delta.location_change?.pc && resolveLocationFilename(delta.location_change.pc) !== worldState().current_location) {
+    const place   = delta.location_change.pc;
+    const locFile = resolveLocationFilename(place);
+    const isNew   = !gistFiles[locFile];
+    const old     = worldState().current_location;
+    const oldName = gistFiles[old]?.display_name || old;
+    newItems.push({
+      id: uid(), type: 'location_change', npcFile: null,
+      description: `PC location: ${oldName || '?'} → ${gistFiles[locFile]?.display_name || place}${isNew ? ' (new location)' : ''}`,
+      oldValue: old, newValue: locFile,
+      applyFn: () => {
+        if (!gistFiles[locFile]) gistFiles[locFile] = scaffoldLocationFile(place);
+        const ws = gistFiles['world_state.json'] || {};
+        ws.current_location = locFile;
+        gistFiles['world_state.json'] = ws;
+      }
+    });
+  }
+
+  if (delta.location_change?.npcs) {
+    for (const [file, place] of Object.entries(delta.location_change.npcs)) {
+      const npc     = gistFiles[file];
+      const name    = npc?.display_name || file.replace(/npc_|\.json/g, '').replace(/_/g, ' ');
+      const locFile = resolveLocationFilename(place);
+      const isNew   = !gistFiles[locFile];
+      const oldFile = allLocationEntries().find(([, loc]) => loc.npcs_present?.includes(file))?.[0];
+      if (oldFile === locFile) continue;
       newItems.push({
-        id: uid(), type: 'new_npc', npcFile: filename,
-        description: `New NPC: ${spec.display_name}${spec.alias ? ` (${spec.alias})` : ''} — ${spec.faction || 'unknown faction'}`,
+        id: uid(), type: 'location_change', npcFile: file,
+        description: `${name} moves → ${gistFiles[locFile]?.display_name || place}${isNew ? ' (new location)' : ''}${oldFile ? ` (was: ${gistFiles[oldFile]?.display_name || oldFile})` : ''}`,
+        oldValue: oldFile || null, newValue: locFile,
+        applyFn: () => {
+          if (!gistFiles[locFile]) gistFiles[locFile] = scaffoldLocationFile(place);
+          // An NPC is only ever in one place
+          for (const [, loc] of allLocationEntries()) {
+            if (Array.isArray(loc.npcs_present)) loc.npcs_present = loc.npcs_present.filter(f => f !== file);
+          }
+          const target = gistFiles[locFile];
+          target.npcs_present = [...(target.npcs_present || []), file];
+        }
+      });
+    }
+  }
+
+  if (delta.item_gained?.length) {
+    for (const spec of delta.item_gained) {
+      const file     = resolveItemFilename(spec.name);
+      const existing = gistFiles[file];
+      const owner    = resolveItemOwner(spec.owner || 'pc', gistFiles);
+      const count    = Number(spec.quantity) || 0;
+      // Already held by the same owner: a counted gain adds to the stack
+      const stacks   = it => !!it && it.owner === owner && (it.status || 'held') === 'held';
+      newItems.push({
+        id: uid(), type: 'item_gained', npcFile: file,
+        description: `Item gained: ${spec.name}${count > 1 ? ` x${count}` : ''} → ${ownerName(owner)}${existing ? '' : ' (new item)'}`
+          + (stacks(existing) && count ? ` (now ${(Number(existing.quantity) || 0) + count})` : ''),
+        oldValue: existing ? { owner: existing.owner, status: existing.status, quantity: existing.quantity } : null,
+        newValue: spec,
+        applyFn: () => {
+          if (!gistFiles[file]) {
+            gistFiles[file] = scaffoldItemFile(spec.name, owner, spec.description, spec.quantity);
+            return;
+          }
+          const it = gistFiles[file];
+          if (spec.description) it.description = spec.description;
+          if (stacks(it)) {
+            if (count) it.quantity = (Number(it.quantity) || 0) + count;
+            return;
+          }
+          // Changing hands or recovered — the count is what arrived
+          it.owner    = owner;
+          it.status   = 'held';
+          it.location = '';
+          if (count) it.quantity = count;
+        }
+      });
+    }
+  }
+
+  if (delta.item_lost?.length) {
+    for (const spec of delta.item_lost) {
+      const file = resolveItemFilename(spec.name, false);
+      if (!file) continue;   // never tracked — nothing to lose
+      const it     = gistFiles[file];
+      if (!it) continue;
+      const status = spec.status || 'lost';
+      const locFile = spec.location ? resolveLocationFilename(spec.location, false) : null;
+      newItems.push({
+        id: uid(), type: 'item_lost', npcFile: file,
+        description: `Item ${status}: ${it.display_name} (held by ${ownerName(it.owner)})${spec.location ? ` — at ${spec.location}` : ''}`,
+        oldValue: { owner: it.owner, status: it.status }, newValue: spec,
+        applyFn: () => {
+          const cur = gistFiles[file];
+          if (!cur) return;
+          cur.status = status;
+          cur.owner  = '';
+          cur.location = locFile || spec.location || '';
+        }
+      });
+    }
+  }
+
+  if (delta.item_transferred?.length) {
+    for (const spec of delta.item_transferred) {
+      const file = resolveItemFilename(spec.name);
+      const it   = gistFiles[file];
+      const from = spec.from ? resolveItemOwner(spec.from, gistFiles) : (it?.owner || '');
+      const to   = resolveItemOwner(spec.to, gistFiles);
+      newItems.push({
+        id: uid(), type: 'item_transferred', npcFile: file,
+        description: `Item: ${it?.display_name || spec.name} — ${ownerName(from)} → ${ownerName(to)}${it ? '' : ' (new item)'}`,
+        oldValue: it ? it.owner : null, newValue: to,
+        applyFn: () => {
+          if (!gistFiles[file]) gistFiles[file] = scaffoldItemFile(spec.name, to);
+          const cur = gistFiles[file];
+          cur.owner    = to;
+          cur.status   = 'held';
+          cur.location = '';
+        }
+      });
+    }
+  }
+
+  if (delta.faction_standing) {
+    for (const [facKey, changes] of Object.entries(delta.faction_standing)) {
+      if (!changes || typeof changes !== 'object') continue;
+      const file  = resolveFactionFilename(facKey);
+      const fac   = gistFiles[file];
+      const name  = fac?.display_name || facKey;
+      for (const [towardKey, standing] of Object.entries(changes)) {
+        if (!standing) continue;
+        const toPc   = /^(pc|player|user)$/i.test(towardKey);
+        const toward = toPc ? 'pc' : resolveFactionFilename(towardKey);
+        const old    = toPc ? fac?.pc_standing : fac?.standings?.[toward];
+        const label  = toPc ? 'PC' : (gistFiles[toward]?.display_name || towardKey);
+        newItems.push({
+          id: uid(), type: 'faction_standing', npcFile: file,
+          description: `${name} → ${label}: ${standing}${old ? ` (was: ${old})` : ''}${fac ? '' : ' (new faction)'}`,
+          oldValue: old, newValue: standing,
+          applyFn: () => {
+            if (!gistFiles[file]) gistFiles[file] = scaffoldFactionFile(facKey.replace(/^faction_|\.json$/g, '').replace(/_/g, ' '));
+            const cur = gistFiles[file];
+            if (toPc) { cur.pc_standing = standing; return; }
+            cur.standings = cur.standings || {};
+            cur.standings[toward] = standing;
+          }
+        });
+      }
+    }
+  }
+
+  if (delta.quest_new?.length) {
+    for (const spec of delta.quest_new) {
+      const file = resolveQuestFilename(spec.name);
+      if (gistFiles[file]) continue;
+      const steps = (Array.isArray(spec.steps) ? spec.steps : []).filter(Boolean);
+      newItems.push({
+        id: uid(), type: 'quest_new', npcFile: file,
+        description: `New quest: ${spec.name}${spec.giver ? ` (from ${gistFiles[spec.giver]?.display_name || spec.giver})` : ''}`
+          + `${steps.length ? ` — ${steps.length} step${steps.length !== 1 ? 's' : ''}` : ''}${spec.deadline ? `, due ${spec.deadline}` : ''}`,
         oldValue: null, newValue: spec,
         applyFn: () => {
-          gistFiles[filename] = scaffoldNpcFile(spec.display_name, spec.alias, spec.faction, spec.first_appeared);
+          const q = scaffoldQuestFile(spec.name, spec.giver, spec.description);
+          q.steps    = steps.map(text => ({ text: String(text), done: false }));
+          q.deadline = spec.deadline || '';
+          q.rewards  = spec.rewards  || '';
+          gistFiles[file] = q;
+        }
+      });
+    }
+  }
+
+  if (delta.quest_progress?.length) {
+    for (const spec of delta.quest_progress) {
+      const file = resolveQuestFilename(spec.quest, false);
+      const q    = gistFiles[file];
+      if (!q) continue;
+      const idx = findQuestStep(q, spec.step);
+      if (idx === -1 || q.steps[idx].done) continue;
+      newItems.push({
+        id: uid(), type: 'quest_progress', npcFile: file,
+        description: `${q.display_name}: step done — ${q.steps[idx].text}`,
+        oldValue: null, newValue: spec.step,
+        applyFn: () => { gistFiles[file].steps[idx].done = true; }
+      });
+    }
+  }
+
+  if (delta.quest_status) {
+    for (const [questName, status] of Object.entries(delta.quest_status)) {
+      const file = resolveQuestFilename(questName, false);
+      const q    = gistFiles[file];
+      if (!q || !QUEST_STATUSES.includes(status) || q.status === status) continue;
+      newItems.push({
+        id: uid(), type: 'quest_status', npcFile: file,
+        description: `${q.display_name}: ${q.status || '?'} → ${status}`,
+        oldValue: q.status, newValue: status,
+        applyFn: () => { gistFiles[file].status = status; }
+      });
+    }
+  }
+
+  // User-defined categories — one card per target file
+  for (const cat of getCustomCategories()) {
+    const val = delta[cat.name];
+    if (val == null) continue;
+    const targets = cat.target === 'npc' ? Object.entries(val) : [[cat.target, val]];
+    for (const [file, incoming] of targets) {
+      const old  = deepGet(gistFiles[file], cat.path);
+      const next = mergeCustomValue(cat, old, incoming);
+      if (JSON.stringify(next) === JSON.stringify(old)) continue;
+      const who  = cat.target === 'npc' ? `${gistFiles[file]?.display_name || file} — ` : '';
+      const step = cat.merge === 'increment' && cat.type === 'number' ? ` (${incoming >= 0 ? '+' : ''}${incoming})` : '';
+      newItems.push({
+        id: uid(), type: 'custom', npcFile: file,
+        description: `${who}${customLabel(cat)}: ${formatCustomValue(old) || '?'} → ${formatCustomValue(next)}${step}`,
+        oldValue: old, newValue: next,
+        applyFn: () => {
+          if (cat.target === 'npc') requireNpcFile(file);
+          else if (!gistFiles[file]) gistFiles[file] = {};
+          // Re-merge at apply time so stacked increments don't overwrite each other
+          deepSet(gistFiles[file], cat.path, mergeCustomValue(cat, deepGet(gistFiles[file], cat.path), incoming));
         }
       });
     }
   }
 
-  if (!newItems.length) { updateStatus('idle ✓'); return; }
+  // Names that matched several NPCs, or only loosely — one card per name,
+  // holding every change that used it until the user says who was meant
+  const held = new Map();
+  for (const amb of ambiguous) {
+    const name = amb.key.trim();
+    if (!held.has(name.toLowerCase())) held.set(name.toLowerCase(), { name, candidates: amb.candidates, parts: [] });
+    held.get(name.toLowerCase()).parts.push(amb);
+  }
+  for (const { name, candidates, parts } of held.values()) newItems.push(disambiguationCard(name, candidates, parts));
+
+  const rejectNote = rejected.length ? ` \u2014 ${rejected.length} rejected by validator` : '';
+  if (!newItems.length) {
+    updateStatus(rejected.length ? `no valid changes${rejectNote}` : 'idle ✓');
+    renderRejectedPanel();
+    return;
+  }
 
+  if (source) for (const item of newItems) item.source = source;
+  if (replaceFrom.length) {
+    const subjects = new Set(newItems.map(itemSubject));
+    withdrawItems(item => replaceFrom.some(src => sameSource(item.source, src)) && subjects.has(itemSubject(item)));
+  }
   pendingQueue.push(...newItems);
-  updateStatus(`${pendingQueue.length} change${pendingQueue.length !== 1 ? 's' : ''} pending review`);
+  updateStatus(`${pendingQueue.length} change${pendingQueue.length !== 1 ? 's' : ''} pending review${rejectNote}`);
   renderQueuePanel();
+  renderRejectedPanel();
 }
 
 // ═══════════════════════════════════════════════════════════════
@@ -693,6 +1803,13 @@ function proposeDelta(delta) {
 // Detect what kind of Gist file a parsed JSON object is
 function detectFileType(data) {
   if (!data || typeof data !== 'object') return 'unknown';
+  if (data.display_name && Array.isArray(data.steps))         return 'quest';
+  if (data.display_name && data.owner !== undefined
+      && data.status !== undefined)                           return 'item';
+  if (data.display_name && (data.standings || data.leadership
+      || data.pc_standing !== undefined))                     return 'faction';
+  if (data.display_name && (data.npcs_present || data.connected
+      || data.parent_region !== undefined))                   return 'location';
   if (data.display_name && data.power)                        return 'npc';
   if (data.active_situations || data.faction_status
       || (data.in_world_date && data.arc))                    return 'world_state';
@@ -706,6 +1823,10 @@ function detectFileType(data) {
 function targetFilename(data, originalFilename) {
   const type = detectFileType(data);
   if (type === 'npc')          return npcFilename(data.display_name);
+  if (type === 'location')     return locFilename(data.display_name);
+  if (type === 'item')         return itemFilename(data.display_name);
+  if (type === 'faction')      return factionFilename(data.display_name);
+  if (type === 'quest')        return questFilename(data.display_name);
   if (type === 'world_state')  return 'world_state.json';
   if (type === 'arc_events')   return 'arc_events.json';
   if (type === 'master_index') return '_master_index.json';
@@ -730,6 +1851,30 @@ function buildPreviewText(data, type) {
         lines.push(`Relationship:   ${cs.relationship_to_user_character}`);
       if (data.trigger_event?.summary)
         lines.push(`Trigger:        ${data.trigger_event.summary.slice(0, 120)}`);
+    } else if (type === 'location') {
+      lines.push(`Location:  ${data.display_name}`);
+      if (data.parent_region)        lines.push(`Region:    ${data.parent_region}`);
+      if (data.description)          lines.push(`About:     ${data.description.slice(0, 150)}${data.description.length > 150 ? '…' : ''}`);
+      if (data.connected?.length)    lines.push(`Connected: ${data.connected.join(', ')}`);
+      if (data.npcs_present?.length) lines.push(`Present:   ${data.npcs_present.join(', ')}`);
+    } else if (type === 'quest') {
+      lines.push(`Quest:    ${data.display_name} [${data.status || '?'}]`);
+      if (data.giver)    lines.push(`Giver:    ${data.giver}`);
+      if (data.deadline) lines.push(`Deadline: ${data.deadline}`);
+      (data.steps || []).slice(0, 8).forEach((st, i) =>
+        lines.push(`  ${st.done ? '☑' : '☐'} ${i + 1}. ${String(st.text ?? st).slice(0, 80)}`));
+    } else if (type === 'faction') {
+      lines.push(`Faction:    ${data.display_name}`);
+      if (data.leadership?.length) lines.push(`Leadership: ${data.leadership.join(', ')}`);
+      if (data.goals?.length)      lines.push(`Goals:      ${[].concat(data.goals).join('; ').slice(0, 150)}`);
+      if (data.pc_standing)        lines.push(`PC:         ${data.pc_standing}`);
+      const st = Object.keys(data.standings || {}).length;
+      if (st) lines.push(`Standings:  ${st} other faction${st !== 1 ? 's' : ''}`);
+    } else if (type === 'item') {
+      lines.push(`Item:    ${data.display_name}${data.quantity > 1 ? ` x${data.quantity}` : ''}`);
+      lines.push(`Owner:   ${data.owner || '—'}`);
+      lines.push(`Status:  ${data.status || '—'}`);
+      if (data.description) lines.push(`About:   ${data.description.slice(0, 150)}`);
     } else if (type === 'world_state') {
       lines.push(`Date:  ${data.in_world_date || '—'}`);
       lines.push(`Arc:   ${data.arc || '—'}${data.chapter ? ' ch.' + data.chapter : ''}`);
@@ -778,6 +1923,10 @@ async function handleFileImport(fileList) {
       const type  = detectFileType(data);
       const fname = targetFilename(data, file.name);
       const icon  = TYPE_ICONS[type === 'npc' ? 'new_npc'
+                              : type === 'location' ? 'location_change'
+                              : type === 'item' ? 'item_gained'
+                              : type === 'faction' ? 'faction_standing'
+                              : type === 'quest' ? 'quest_new'
                               : type === 'world_state' ? 'world_state'
                               : type === 'arc_events' ? 'arc_event'
                               : 'import'] || '📂';
@@ -787,6 +1936,18 @@ async function handleFileImport(fileList) {
       if (type === 'npc') {
         desc = `Import NPC: ${data.display_name}${data.alias ? ` / ${data.alias}` : ''} — ${data.faction || 'unknown faction'}`;
         if (gistFiles[fname]) desc += ' (⚠ will overwrite existing)';
+      } else if (type === 'location') {
+        desc = `Import location: ${data.display_name}${data.parent_region ? ` — ${data.parent_region}` : ''}`;
+        if (gistFiles[fname]) desc += ' (⚠ will overwrite existing)';
+      } else if (type === 'quest') {
+        desc = `Import quest: ${data.display_name} [${data.status || 'open'}]`;
+        if (gistFiles[fname]) desc += ' (⚠ will overwrite existing)';
+      } else if (type === 'faction') {
+        desc = `Import faction: ${data.display_name}${data.pc_standing ? ` — ${data.pc_standing} toward PC` : ''}`;
+        if (gistFiles[fname]) desc += ' (⚠ will overwrite existing)';
+      } else if (type === 'item') {
+        desc = `Import item: ${data.display_name} — ${data.owner ? `held by ${data.owner}` : data.status || 'unowned'}`;
+        if (gistFiles[fname]) desc += ' (⚠ will overwrite existing)';
       } else if (type === 'world_state') {
         desc = `Import world_state.json — Arc ${data.arc || '?'}, ${data.in_world_date || 'no date'}`;
         if (gistFiles[fname]) desc += ' (⚠ will overwrite)';
@@ -845,7 +2006,7 @@ function acceptChange(id) {
   const idx = pendingQueue.findIndex(item => item.id === id);
   if (idx === -1) return;
   try {
-    pendingQueue[idx].applyFn();
+    applyItem(pendingQueue[idx]);
   } catch (err) {
     console.error('[ScenarioTracker] acceptChange applyFn threw:', err);
     updateStatus(`apply error: ${err.message} — change kept in queue`);
@@ -853,34 +2014,230 @@ function acceptChange(id) {
     return;   // leave item in queue so user can see it failed
   }
   pendingQueue.splice(idx, 1);
+  queueArcReminders();
   persistLocal();
   rebuildContextInjection();
   schedulePushToGist();
   updatePanelSummary();
   renderQueuePanel();
+  renderQuestsPanel();
+  renderRosterPanel();
   if (!pendingQueue.length) updateStatus('all changes applied ✓');
 }
 
 function denyChange(id) {
   const idx = pendingQueue.findIndex(item => item.id === id);
   if (idx === -1) return;
+  pendingQueue[idx].onDeny?.();
   pendingQueue.splice(idx, 1);
   renderQueuePanel();
   if (!pendingQueue.length) updateStatus('idle ✓');
 }
 
 function acceptAll() {
-  for (const item of [...pendingQueue]) item.applyFn();
-  pendingQueue = [];
+  const failed = [];
+  for (const item of [...pendingQueue]) {
+    try {
+      applyItem(item);
+    } catch (err) {
+      console.error('[ScenarioTracker] acceptAll applyFn threw:', err);
+      failed.push(item);
+    }
+  }
+  pendingQueue = failed;
+  queueArcReminders();
   persistLocal();
   rebuildContextInjection();
   schedulePushToGist();
   updatePanelSummary();
   renderQueuePanel();
-  updateStatus('all changes applied ✓');
+  renderQuestsPanel();
+  renderRosterPanel();
+  if (failed.length) updateStatus(`${failed.length} change${failed.length !== 1 ? 's' : ''} failed to apply \u2014 kept in queue`);
+  else updateStatus(pendingQueue.length ? `all changes applied ✓ — ${pendingQueue.length} reminder(s)` : 'all changes applied ✓');
+}
+
+// ── Source tracking: swipes, edits, deletions ─────────────────
+// Accepted changes that came from a message keep before/after snapshots
+// of the files they touched, so a discarded swipe can be undone later.
+
+function messageSource(mesId) {
+  const msg = getContext()?.chat?.[mesId];
+  return msg ? { mesId, swipeId: msg.swipe_id ?? 0, sendDate: msg.send_date || null } : null;
+}
+
+function sameSource(a, b) {
+  return !!a && !!b && a.mesId === b.mesId && a.swipeId === b.swipeId;
+}
+
+// Find the source message even if deletions above it shifted its index
+function sourceMessage(source) {
+  const chat = getContext()?.chat || [];
+  if (!source.sendDate) return chat[source.mesId] || null;
+  if (chat[source.mesId]?.send_date === source.sendDate) return chat[source.mesId];
+  return chat.find(m => m?.send_date === source.sendDate) || null;
+}
+
+// Still the visible swipe of a message that still exists?
+function sourceIsLive(source) {
+  if (!source) return true;
+  const msg = sourceMessage(source);
+  return !!msg && !msg.is_user && (msg.swipe_id ?? 0) === source.swipeId;
+}
+
+function applyItem(item) {
+  const before = item.source ? snapshotFiles() : null;
+  item.applyFn();
+  if (before) recordApplied(item, before);
+}
+
+function snapshotFiles() {
+  return Object.fromEntries(Object.entries(gistFiles).map(([k, v]) => [k, JSON.stringify(v)]));
+}
+
+function recordApplied(item, before) {
+  const after   = snapshotFiles();
+  const touched = [...new Set([...Object.keys(before), ...Object.keys(after)])].filter(k => before[k] !== after[k]);
+  if (!touched.length) return;
+  chatState.applied.push({
+    id:          uid(),
+    description: item.description,
+    source:      item.source,
+    before:      Object.fromEntries(touched.map(k => [k, before[k] ?? null])),
+    after:       Object.fromEntries(touched.map(k => [k, after[k] ?? null]))
+  });
+  chatState.applied = chatState.applied.slice(-MAX_APPLIED);
+  saveChatState();
+}
+
+// What a queue item changes. Single-valued targets (a relationship, a
+// status, a location, the date) are keyed by target alone so a later value
+// supersedes the earlier one; additive changes only match exact duplicates.
+function itemSubject(item) {
+  switch (item.type) {
+    case 'npc_relationship':
+    case 'npc_status':
+    case 'location_change':
+    case 'date_advance':
+    case 'quest_status':
+      return `${item.type}|${item.npcFile}`;
+    case 'arc_event':
+    case 'world_state':
+      return `${item.type}|${item.description.split(' → ')[0]}`;
+    default:
+      return `${item.type}|${item.npcFile}|${item.description}`;
+  }
+}
+
+// Remove pending items matching pred → number removed
+function withdrawItems(pred) {
+  const before = pendingQueue.length;
+  pendingQueue = pendingQueue.filter(item => !pred(item));
+  return before - pendingQueue.length;
+}
+
+// After a swipe or deletion: withdraw pending items from messages that are
+// no longer visible, and offer to revert accepted ones. Swiping back
+// withdraws the revert offer again (edit offers stay — the text changed).
+function reconcileSources() {
+  const withdrawn = withdrawItems(item => item.source && !sourceIsLive(item.source));
+  withdrawItems(item => item.type === 'revert' && !item.edited && sourceIsLive(item.entry.source));
+  let flagged = 0;
+  for (const entry of chatState.applied) {
+    if (sourceIsLive(entry.source) || pendingQueue.some(i => i.type === 'revert' && i.entry === entry)) continue;
+    pendingQueue.push(revertCard(entry));
+    flagged++;
+  }
+  if (withdrawn || flagged) {
+    const parts = [];
+    if (withdrawn) parts.push(`${withdrawn} pending change${withdrawn !== 1 ? 's' : ''} withdrawn`);
+    if (flagged)   parts.push(`${flagged} accepted change${flagged !== 1 ? 's' : ''} flagged for revert`);
+    updateStatus(`message discarded \u2014 ${parts.join(', ')}`);
+  }
+  renderQueuePanel();
+}
+
+// An edited message is extracted again from scratch — offer to revert
+// what its earlier text already applied, so it isn't applied twice
+function flagEditedSource(mesId) {
+  const source = messageSource(mesId);
+  let flagged = 0;
+  for (const entry of chatState.applied) {
+    if (!sameSource(entry.source, source) || pendingQueue.some(i => i.type === 'revert' && i.entry === entry)) continue;
+    pendingQueue.push(revertCard(entry, true));
+    flagged++;
+  }
+  if (flagged) {
+    updateStatus(`message edited \u2014 ${flagged} accepted change${flagged !== 1 ? 's' : ''} flagged for revert`);
+    renderQueuePanel();
+  }
+}
+
+function revertCard(entry, edited = false) {
+  const files   = Object.keys(entry.before);
+  const drifted = files.filter(f => JSON.stringify(gistFiles[f]) !== (entry.after[f] ?? undefined));
+  const later   = chatState.applied.slice(chatState.applied.indexOf(entry) + 1)
+    .filter(e => Object.keys(e.before).some(f => files.includes(f)));
+  const changed = [...new Set([...drifted, ...later.flatMap(e => Object.keys(e.before).filter(f => files.includes(f)))])];
+  const warning = changed.length
+    ? `⚠ ${changed.join(', ')} changed since \u2014 reverting restores the earlier version and undoes those later edits`
+    : null;
+  const forget = () => {
+    chatState.applied = chatState.applied.filter(e => e !== entry);
+    saveChatState();
+  };
+  return {
+    id: uid(), type: 'revert', npcFile: files[0] || null, entry, edited,
+    description: `Revert: ${entry.description} (its message was ${edited ? 'edited' : 'swiped away or deleted'})`,
+    warning,
+    oldValue: null, newValue: null,
+    applyFn: () => {
+      for (const [file, json] of Object.entries(entry.before)) {
+        if (json == null) delete gistFiles[file];
+        else gistFiles[file] = JSON.parse(json);
+      }
+      forget();
+    },
+    onDeny: forget
+  };
+}
+
+// Arc events may carry a scheduled_date. Once the in-world date reaches it
+// and the event is still pending, surface a one-time reminder card.
+function queueArcReminders() {
+  const cal  = getCalendar();
+  const now  = parseDate(worldState().in_world_date, cal);
+  if (!now) return;
+  const arcKey  = `arc_${worldState().arc || '1'}`;
+  const arcData = arcEvents()[arcKey] || {};
+  for (const [evId, ev] of Object.entries(arcData)) {
+    if (!ev?.scheduled_date || ev.reminded) continue;
+    if (ev.player_status && ev.player_status !== 'pending') continue;
+    if (pendingQueue.some(i => i.type === 'arc_reminder' && i.npcFile === evId)) continue;
+    const due = parseDate(ev.scheduled_date, cal);
+    if (!due || elapsedMinutes(due, now, cal) < 0) continue;
+    const late = elapsedMinutes(due, now, cal);
+    pendingQueue.push({
+      id: uid(), type: 'arc_reminder', npcFile: evId,
+      description: `Scheduled event due: "${evId.replace(/_/g, ' ')}" (${ev.scheduled_date})${late > 0 ? ` — overdue by ${formatElapsed(late, cal)}` : ''}`
+        + `${ev.summary ? ` — ${ev.summary}` : ''}`,
+      oldValue: null, newValue: null,
+      // Accepting acknowledges the reminder; firing the event is still up to the story.
+      // Denying dismisses it the same way so it doesn't come back on the next accept.
+      applyFn: () => {
+        const target = gistFiles['arc_events.json']?.[arcKey]?.[evId];
+        if (target) target.reminded = true;
+      },
+      onDeny: () => {
+        const target = gistFiles['arc_events.json']?.[arcKey]?.[evId];
+        if (target) { target.reminded = true; persistLocal(); schedulePushToGist(); }
+      }
+    });
+  }
 }
 
 function denyAll() {
+  for (const item of pendingQueue) item.onDeny?.();
   pendingQueue = [];
   renderQueuePanel();
   updateStatus('all changes denied ✓');
@@ -897,16 +2254,34 @@ function toggleExpand(id) {
 // 9. PANEL UI
 // ═══════════════════════════════════════════════════════════════
 
+const DIFF_KINDS = { '+': 'add', '-': 'del', '~': 'mod' };
+
 const TYPE_ICONS = {
   npc_knowledge:   '🧠',
+  npc_learned:     '💡',
+  patch:           '🩹',
   npc_relationship:'🤝',
+  npc_npc_relationship:'🔗',
   npc_state:       '💭',
   npc_aliases:     '🏷️',
+  npc_status:      '🪦',
   arc_event:       '📖',
   world_state:     '🌆',
   divergence:      '⚡',
   date_advance:    '📅',
+  arc_reminder:    '⏰',
+  location_change: '📍',
+  item_gained:     '🎒',
+  item_lost:       '🕳️',
+  item_transferred:'🔁',
+  faction_standing:'🏛️',
+  quest_new:       '🎯',
+  quest_progress:  '☑️',
+  quest_status:    '🏁',
   new_npc:         '👤',
+  disambiguate:    '👥',
+  revert:          '↩️',
+  custom:          '🧩',
   import:          '📂',
   unknown:         '❓',
 };
@@ -947,6 +2322,25 @@ function buildPanel() {
               min="1" max="30" value="${getMaxNpcs()}"
               title="How many NPCs to inject per prompt (1–30)">
           </div>
+          <div class="wt-row wt-row--inline">
+            <label class="wt-label">Mention memory</label>
+            <input id="sst_recency_turns" type="number" class="wt-input wt-input--narrow"
+              min="1" max="50" value="${getRecencyTurns()}"
+              title="How many messages a mention keeps boosting an NPC, fading out linearly (1–50)">
+          </div>
+          <div class="wt-row wt-row--inline">
+            <input id="sst_parse_retry" type="checkbox" style="width:auto;margin-right:6px;"${getParseRetry() ? ' checked' : ''}>
+            <label for="sst_parse_retry" class="wt-label" style="cursor:pointer;"
+              title="When the extractor's reply can't be repaired into JSON, send the error back once and ask again (one extra API call)">
+              Retry unparseable extractions
+            </label>
+          </div>
+          <div class="wt-row wt-row--inline">
+            <label class="wt-label">Token budget</label>
+            <input id="sst_token_budget" type="number" class="wt-input wt-input--narrow"
+              min="0" max="32000" step="100" value="${getTokenBudget()}"
+              title="Approximate token cap for all injected tracker blocks (0 = unlimited). Lower-scoring NPCs are compacted, then dropped.">
+          </div>
           <div class="wt-actions">
             <button id="sst_save"     class="menu_button wt-btn">Save</button>
             <button id="sst_sync"     class="menu_button wt-btn">↺ Sync</button>
@@ -955,6 +2349,101 @@ function buildPanel() {
         </div>
 
 
+        <!-- Extraction backend -->
+        <div class="wt-section sst-config-section">
+          <div class="wt-secrets-header" id="sst_backend_toggle">
+            <span>🔌 Extraction Backend</span>
+            <span class="wt-secrets-caret">\u25bc</span>
+          </div>
+          <div class="wt-secrets-body" id="sst_backend_body" style="display:none;">
+            <p class="sst-config-hint">
+              Send extraction to a separate OpenAI-compatible server (llama.cpp, Ollama, LM Studio…)
+              instead of the roleplay model. The chat preset and its formatting rules don't apply there.
+            </p>
+            <div class="wt-row wt-row--inline">
+              <input id="sst_backend_enabled" type="checkbox" style="width:auto;margin-right:6px;">
+              <label for="sst_backend_enabled" class="wt-label" style="cursor:pointer;">Use dedicated backend</label>
+            </div>
+            <div class="wt-row">
+              <label class="wt-label">API URL</label>
+              <input id="sst_backend_url" type="text" class="wt-input" placeholder="${DEFAULT_EXTRACTOR.url}">
+            </div>
+            <div class="wt-row">
+              <label class="wt-label">API key</label>
+              <input id="sst_backend_key" type="password" class="wt-input" placeholder="(optional)">
+            </div>
+            <div class="wt-row">
+              <label class="wt-label">Model</label>
+              <input id="sst_backend_model" type="text" class="wt-input" placeholder="(server default)">
+            </div>
+            <div class="wt-row wt-row--inline sst-backend-nums">
+              <span class="wt-label">Temp</span>
+              <input id="sst_backend_temp" type="number" class="wt-input wt-input--narrow" min="0" max="2" step="0.05">
+              <span class="wt-label">Max tokens</span>
+              <input id="sst_backend_max" type="number" class="wt-input wt-input--narrow" min="64" max="32000" step="64">
+              <span class="wt-label">Timeout s</span>
+              <input id="sst_backend_timeout" type="number" class="wt-input wt-input--narrow" min="5" max="600">
+            </div>
+            <div class="wt-row">
+              <label class="wt-label">System prompt</label>
+              <textarea id="sst_backend_system"></textarea>
+            </div>
+            <div class="wt-row wt-row--inline">
+              <input id="sst_backend_fallback" type="checkbox" style="width:auto;margin-right:6px;">
+              <label for="sst_backend_fallback" class="wt-label" style="cursor:pointer;"
+                title="If the backend errors or times out, extract with the chat model instead">
+                Fall back to the chat model on failure
+              </label>
+            </div>
+            <div class="wt-actions">
+              <button id="sst_backend_save" class="menu_button wt-btn">Save</button>
+              <button id="sst_backend_test" class="menu_button wt-btn wt-btn-neutral">Test connection</button>
+            </div>
+            <div id="sst_backend_result" class="sst-backend-result"></div>
+          </div>
+        </div>
+
+        <!-- wst blocks -->
+        <div class="wt-section sst-config-section">
+          <div class="wt-secrets-header" id="sst_wst_toggle">
+            <span>📋 wst Blocks</span>
+            <span class="wt-secrets-caret">\u25bc</span>
+          </div>
+          <div class="wt-secrets-body" id="sst_wst_body" style="display:none;">
+            <p class="sst-config-hint">
+              When the roleplay model ends its reply with a <code>wst</code> block, changes are read from it
+              directly and no extraction call is made. The tracker can teach it the format itself.
+            </p>
+            <div class="wt-row wt-row--inline">
+              <input id="sst_wst_inject" type="checkbox" style="width:auto;margin-right:6px;">
+              <label for="sst_wst_inject" class="wt-label" style="cursor:pointer;"
+                title="Inject format instructions built from the tracked categories and known NPC names (placement under Scenario Config → Injection)">
+                Inject wst instructions
+              </label>
+            </div>
+            <div class="wt-row wt-row--inline">
+              <label class="wt-label">In chat</label>
+              <select id="sst_wst_display">
+                <option value="show">Show (expanded fold)</option>
+                <option value="collapse">Collapse</option>
+                <option value="hide">Hide</option>
+              </select>
+            </div>
+            <div class="wt-row wt-row--inline">
+              <input id="sst_wst_strip" type="checkbox" style="width:auto;margin-right:6px;">
+              <label for="sst_wst_strip" class="wt-label" style="cursor:pointer;"
+                title="Remove old wst blocks from the chat history sent to the model">
+                Strip blocks from prompt history
+              </label>
+            </div>
+            <div class="wt-actions">
+              <button id="sst_wst_save"    class="menu_button wt-btn">Save</button>
+              <button id="sst_wst_preview" class="menu_button wt-btn wt-btn-neutral">Preview instructions</button>
+            </div>
+            <pre id="sst_wst_preview_out" class="sst-wst-preview" style="display:none;"></pre>
+          </div>
+        </div>
+
         <!-- Scenario Config -->
         <div class="wt-section sst-config-section">
           <div class="wt-secrets-header" id="sst_config_toggle">
@@ -977,6 +2466,89 @@ function buildPanel() {
               <textarea id="sst_extraction_prompt"
                 placeholder="Describe your scenario for the extractor: setting, factions, special mechanics, what to track..."></textarea>
             </div>
+            <div class="wt-row" style="margin-top:6px;">
+              <label class="wt-label">NPC template</label>
+              <textarea id="sst_template_npc" class="sst-template"
+                placeholder="Leave empty to use the built-in NPC layout"></textarea>
+            </div>
+            <div class="wt-row" style="margin-top:6px;">
+              <label class="wt-label">World state template</label>
+              <textarea id="sst_template_world" class="sst-template"
+                placeholder="Leave empty to use the built-in world state layout"></textarea>
+            </div>
+            <p class="sst-config-hint">
+              Templates use {{field.path}}, filters like {{name|upper}} or {{list|join:"; "}},
+              {{#if x}}…{{else}}…{{/if}}, {{#unless x}}…{{/unless}} and {{#each list}}…{{this}} / {{@key}}…{{/each}}.
+              Any NPC field is available, including custom ones such as {{trigger_event.summary}}.
+            </p>
+            <div class="wt-actions">
+              <button id="sst_template_reset" class="menu_button wt-btn wt-btn-neutral">Load default templates</button>
+            </div>
+            <div class="wt-row" style="margin-top:6px;">
+              <label class="wt-label">NPC scoring</label>
+              <div class="wt-row--inline sst-score-weights">
+                <span class="wt-label">Name</span>
+                <input id="sst_score_name" type="number" class="wt-input wt-input--narrow">
+                <span class="wt-label">First name</span>
+                <input id="sst_score_first" type="number" class="wt-input wt-input--narrow">
+                <span class="wt-label">Keyword</span>
+                <input id="sst_score_trigger" type="number" class="wt-input wt-input--narrow">
+                <span class="wt-label" title="Group chats: NPC linked to the card whose turn it is">Speaking</span>
+                <input id="sst_score_speaker" type="number" class="wt-input wt-input--narrow">
+              </div>
+              <div class="sst-rule-head">
+                <span>label</span><span>field path</span><span>pattern (regex)</span><span>weight</span><span>group</span><span></span>
+              </div>
+              <div id="sst_score_rules"></div>
+              <div class="wt-actions">
+                <button id="sst_rule_add"     class="menu_button wt-btn wt-btn-neutral">+ Rule</button>
+                <button id="sst_rule_reset"   class="menu_button wt-btn wt-btn-neutral">Defaults</button>
+                <button id="sst_rule_preview" class="menu_button wt-btn wt-btn-neutral">Preview scores</button>
+              </div>
+              <div id="sst_score_preview" class="sst-score-preview"></div>
+            </div>
+            <div class="wt-row" style="margin-top:6px;">
+              <label class="wt-label">Custom categories</label>
+              <p class="sst-config-hint">
+                Extra things for the extractor to track. Target is a file (e.g. world_state.json)
+                or <b>npc</b> for a value inside each NPC file; path is where the value lives.
+              </p>
+              <div id="sst_custom_cats"></div>
+              <div class="wt-actions">
+                <button id="sst_custom_add" class="menu_button wt-btn wt-btn-neutral">+ Category</button>
+              </div>
+            </div>
+            <div class="wt-row" style="margin-top:6px;">
+              <label class="wt-label">Arc lookahead</label>
+              <div class="wt-row--inline">
+                <input id="sst_lookahead_enabled" type="checkbox" style="width:auto;margin-right:6px;">
+                <label for="sst_lookahead_enabled" class="wt-label" style="cursor:pointer;">Inject next</label>
+                <input id="sst_lookahead_count" type="number" class="wt-input wt-input--narrow" min="1" max="10" value="3">
+                <span class="wt-label" style="margin-left:4px">pending events</span>
+              </div>
+              <input id="sst_lookahead_reliable" type="text" class="wt-input"
+                placeholder="Heading while timeline is reliable (default: ${DEFAULT_LOOKAHEAD_RELIABLE.replace(/"/g, '&quot;')})">
+              <input id="sst_lookahead_unreliable" type="text" class="wt-input"
+                placeholder="Heading after divergence threshold (default: ${DEFAULT_LOOKAHEAD_UNRELIABLE.replace(/"/g, '&quot;')})">
+            </div>
+            <div class="wt-row" style="margin-top:6px;">
+              <label class="wt-label">Calendar</label>
+              <select id="sst_calendar_type">
+                <option value="gregorian">Gregorian</option>
+                <option value="custom">Custom</option>
+              </select>
+              <div id="sst_calendar_custom" style="display:none;">
+                <textarea id="sst_calendar_months" placeholder="One month per line — Name: days&#10;Hammer: 30&#10;Alturiak: 30"></textarea>
+                <input id="sst_calendar_weekdays" type="text" class="wt-input"
+                  placeholder="Weekdays, comma-separated (optional)">
+                <textarea id="sst_calendar_eras" placeholder="Eras, one per line — Name: year offset (optional)&#10;DR: 0"></textarea>
+              </div>
+              <div id="sst_calendar_preview" class="sst-config-hint"></div>
+            </div>
+            <div class="wt-row" style="margin-top:6px;">
+              <label class="wt-label">Injection (position / depth / role / WI scan)</label>
+              ${buildInjectionRows()}
+            </div>
             <div class="wt-actions" style="margin-top:4px;">
               <button id="sst_config_save" class="menu_button wt-btn wt-btn-accept">Save Config</button>
             </div>
@@ -1007,6 +2579,47 @@ function buildPanel() {
 
         <hr class="wt-divider">
 
+        <!-- Objectives -->
+        <div class="wt-secrets-section">
+          <div class="wt-secrets-header" id="sst_quests_toggle">
+            <span>🎯 Objectives</span>
+            <span class="wt-secrets-caret">▼</span>
+          </div>
+          <div class="wt-secrets-body" id="sst_quests_body" style="display:none;">
+            <div class="wt-secrets-hint">
+              Tracked quests. Tap a step to mark it done / not done; change status with the selector.
+            </div>
+            <div id="sst_quests_list" class="wt-secrets-list"></div>
+          </div>
+        </div>
+
+        <hr class="wt-divider">
+
+        <!-- NPC roster -->
+        <div class="wt-secrets-section">
+          <div class="wt-secrets-header" id="sst_roster_toggle">
+            <span>👥 NPC Roster</span>
+            <span class="wt-secrets-caret">▼</span>
+          </div>
+          <div class="wt-secrets-body" id="sst_roster_body" style="display:none;">
+            <div class="wt-secrets-hint">
+              Only active NPCs are injected. Dead ones get a one-line memorial when named;
+              absent and archived ones are left out entirely.
+              🎭 links an NPC to a character card — while that card is in the chat,
+              only the NPC's tracked state is injected.
+            </div>
+            <div id="sst_roster_list" class="wt-secrets-list"></div>
+            <div class="wt-actions">
+              <button id="sst_roster_unseen"  class="menu_button wt-btn wt-btn-neutral" title="Tick every active NPC not mentioned in this chat's memory window">Select unseen</button>
+              <button id="sst_roster_link"    class="menu_button wt-btn wt-btn-neutral" title="Link unlinked NPCs to character cards with the same name or alias">🎭 Link cards</button>
+              <button id="sst_roster_archive" class="menu_button wt-btn wt-btn-deny">Archive selected</button>
+              <button id="sst_roster_restore" class="menu_button wt-btn wt-btn-accept">Restore selected</button>
+            </div>
+          </div>
+        </div>
+
+        <hr class="wt-divider">
+
         <!-- Import section -->
         <div class="wt-import-section">
           <div class="wt-actions">
@@ -1015,7 +2628,7 @@ function buildPanel() {
             </button>
           </div>
           <p class="wt-import-hint">
-            Select one or more NPC, world_state, or arc_events .json files.
+            Select one or more NPC, faction, location, item, quest, world_state, or arc_events .json files.
             Each file will appear in the review queue below before being pushed to Gist.
           </p>
           <input id="sst_file_input" type="file" multiple accept=".json">
@@ -1067,6 +2680,13 @@ function buildPanel() {
           </div>
         </div>
         <div id="sst_queue" class="wt-queue"></div>
+        <div id="sst_rejected" class="sst-rejected" style="display:none;">
+          <div class="wt-queue-header">
+            <span id="sst_rejected_count">0 rejected</span>
+            <button id="sst_rejected_clear" class="menu_button wt-btn wt-btn-neutral">Clear</button>
+          </div>
+          <div id="sst_rejected_list"></div>
+        </div>
 
       </div>
     </div>
@@ -1076,9 +2696,11 @@ function buildPanel() {
     const token   = panel.querySelector('#sst_token').value.trim();
     const newGid  = panel.querySelector('#sst_gist_id').value.trim();
     const maxN    = panel.querySelector('#sst_max_npcs').value;
+    const budget  = panel.querySelector('#sst_token_budget').value;
     if (token)  setToken(token);
     if (newGid && currentChatId) { gistId = newGid; setGistForChat(currentChatId, newGid); }
     if (maxN)   setMaxNpcs(maxN);
+    setTokenBudget(budget);
     updateStatus('config saved ✓');
     rebuildContextInjection(); // re-select NPCs with new cap
   });
@@ -1091,6 +2713,23 @@ function buildPanel() {
     updatePanelSummary();
   });
 
+  panel.querySelector('#sst_recency_turns').addEventListener('change', (e) => {
+    e.target.value = setRecencyTurns(e.target.value);
+    rebuildContextInjection();
+    updatePanelSummary();
+  });
+
+  panel.querySelector('#sst_parse_retry').addEventListener('change', (e) => {
+    setParseRetry(e.target.checked);
+  });
+
+  // Token budget — same immediate-apply behaviour as Max NPCs
+  panel.querySelector('#sst_token_budget').addEventListener('change', (e) => {
+    e.target.value = setTokenBudget(e.target.value);
+    rebuildContextInjection();
+    updatePanelSummary();
+  });
+
   // Sync
   panel.querySelector('#sst_sync').addEventListener('click', async () => {
     const id = panel.querySelector('#sst_gist_id').value.trim() || gistId;
@@ -1147,6 +2786,57 @@ function buildPanel() {
 
   // Bulk actions
   // ── Known secrets editor ────────────────────────────────────
+  // Extraction backend
+  panel.querySelector('#sst_backend_toggle').addEventListener('click', () => {
+    const body  = panel.querySelector('#sst_backend_body');
+    const caret = panel.querySelector('#sst_backend_toggle .wt-secrets-caret');
+    if (body) body.style.display = body.style.display === 'none' ? '' : 'none';
+    if (caret) caret.textContent = body?.style.display === 'none' ? '\u25bc' : '\u25b2';
+  });
+  panel.querySelector('#sst_backend_save').addEventListener('click', () => {
+    setExtractorSettings(readBackendFields(panel));
+    updateStatus('extraction backend saved \u2713');
+  });
+  panel.querySelector('#sst_backend_test').addEventListener('click', async (e) => {
+    const btn    = e.currentTarget;
+    const result = panel.querySelector('#sst_backend_result');
+    btn.disabled = true;
+    result.className   = 'sst-backend-result';
+    result.textContent = 'testing\u2026';
+    const r = await testExtractionBackend(readBackendFields(panel));
+    btn.disabled = false;
+    result.classList.add(r.ok ? 'ok' : 'err');
+    result.textContent = r.ok
+      ? `\u2713 ${r.model} replied in ${r.ms} ms${r.jsonOk ? '' : ` \u2014 but not with the expected JSON: ${r.reply.slice(0, 80)}`}`
+      : `\u2717 ${r.error}`;
+  });
+
+  // wst blocks
+  panel.querySelector('#sst_wst_toggle').addEventListener('click', () => {
+    const body  = panel.querySelector('#sst_wst_body');
+    const caret = panel.querySelector('#sst_wst_toggle .wt-secrets-caret');
+    if (body) body.style.display = body.style.display === 'none' ? '' : 'none';
+    if (caret) caret.textContent = body?.style.display === 'none' ? '\u25bc' : '\u25b2';
+  });
+  panel.querySelector('#sst_wst_save').addEventListener('click', () => {
+    const display = panel.querySelector('#sst_wst_display').value;
+    setWstSettings({
+      inject:  panel.querySelector('#sst_wst_inject').checked,
+      display: WST_DISPLAYS.includes(display) ? display : 'collapse',
+      strip:   panel.querySelector('#sst_wst_strip').checked
+    });
+    // Re-apply open/closed to folds already in the chat
+    document.querySelectorAll('#chat .sst-wst-fold').forEach(f => { f.open = display === 'show'; });
+    foldForgeBlocks();
+    rebuildContextInjection();
+    updateStatus('wst settings saved \u2713');
+  });
+  panel.querySelector('#sst_wst_preview').addEventListener('click', () => {
+    const out = panel.querySelector('#sst_wst_preview_out');
+    out.textContent   = buildForgeInstructions(gistFiles);
+    out.style.display = '';
+  });
+
   // Scenario config toggle
   panel.querySelector('#sst_config_toggle').addEventListener('click', () => {
     const body = panel.querySelector('#sst_config_body');
@@ -1159,11 +2849,81 @@ function buildPanel() {
   panel.querySelector('#sst_config_save').addEventListener('click', () => {
     const name   = (panel.querySelector('#sst_scenario_name')?.value || '').trim();
     const prompt = (panel.querySelector('#sst_extraction_prompt')?.value || '').trim();
-    setScenarioConfig({ scenario_name: name, extraction_prompt: prompt });
+    const templates = {
+      npc:   (panel.querySelector('#sst_template_npc')?.value   || '').trim(),
+      world: (panel.querySelector('#sst_template_world')?.value || '').trim()
+    };
+    const scoring = readScoringFields(panel);
+    scoring.rules = scoring.rules.filter(r => r.field);
+    const badRule = scoring.rules.find(r => r.pattern && !rulePattern(r.pattern));
+    if (badRule) { updateStatus(`scoring rule "${badRule.label || badRule.field}" has an invalid pattern`); return; }
+    const customCats = readCustomCategoryFields(panel).filter(c => c.name || c.path);
+    const badCat = customCats.map((c, i) => customCategoryProblem(c, customCats.slice(0, i))).find(Boolean);
+    if (badCat) { updateStatus(badCat); return; }
+    // Refuse to save a template that doesn't parse — it would silently fall back at inject time
+    for (const [kind, tpl] of Object.entries(templates)) {
+      if (!tpl) continue;
+      try { checkTemplate(tpl); }
+      catch (err) { updateStatus(`${kind} template error: ${err.message}`); return; }
+    }
+    setScenarioConfig({
+      ...getScenarioConfig(),
+      scenario_name:     name,
+      extraction_prompt: prompt,
+      templates,
+      calendar:          readCalendarFields(panel),
+      scoring,
+      custom_categories: customCats,
+      lookahead: {
+        enabled:            panel.querySelector('#sst_lookahead_enabled').checked,
+        count:              Math.max(1, Math.min(10, parseInt(panel.querySelector('#sst_lookahead_count').value, 10) || 3)),
+        wording_reliable:   panel.querySelector('#sst_lookahead_reliable').value.trim(),
+        wording_unreliable: panel.querySelector('#sst_lookahead_unreliable').value.trim()
+      },
+      injection:         readInjectionRows(panel)
+    });
     rebuildContextInjection();   // re-inject with updated scenario name
+    renderCalendarPreview();
     updateStatus('scenario config saved \u2713');
   });
 
+  // Scoring rules editor
+  panel.querySelector('#sst_rule_add').addEventListener('click', () => {
+    const cur = readScoringFields(panel);
+    fillScoringFields({ ...cur, rules: [...cur.rules, { label: '', field: '', pattern: '', weight: 1, group: '' }] });
+  });
+  panel.querySelector('#sst_rule_reset').addEventListener('click', () => {
+    fillScoringFields(DEFAULT_SCORING);
+    updateStatus('default scoring loaded \u2014 Save Config to apply');
+  });
+  panel.querySelector('#sst_rule_preview').addEventListener('click', () => renderScorePreview(readScoringFields(panel)));
+  panel.querySelector('#sst_score_rules').addEventListener('click', (e) => {
+    const del = e.target.closest('.sst-rule-del');
+    if (!del) return;
+    del.closest('.sst-rule-row').remove();
+  });
+
+  // Custom categories editor
+  panel.querySelector('#sst_custom_add').addEventListener('click', () => {
+    fillCustomCategoryFields([...readCustomCategoryFields(panel),
+      { name: '', label: '', instruction: '', target: 'world_state.json', path: '', type: 'number', merge: 'replace', inject: true }]);
+  });
+  panel.querySelector('#sst_custom_cats').addEventListener('click', (e) => {
+    const del = e.target.closest('.sst-custom-del');
+    if (del) del.closest('.sst-custom-row').remove();
+  });
+
+  panel.querySelector('#sst_calendar_type').addEventListener('change', (e) => {
+    panel.querySelector('#sst_calendar_custom').style.display = e.target.value === 'custom' ? '' : 'none';
+  });
+
+  // Fill the template editors with the built-in layouts as a starting point
+  panel.querySelector('#sst_template_reset').addEventListener('click', () => {
+    panel.querySelector('#sst_template_npc').value   = DEFAULT_NPC_TEMPLATE;
+    panel.querySelector('#sst_template_world').value = DEFAULT_WORLD_TEMPLATE;
+    updateStatus('default templates loaded \u2014 Save Config to apply');
+  });
+
   panel.querySelector('#sst_secrets_toggle').addEventListener('click', () => {
     const body  = panel.querySelector('#sst_secrets_body');
     const caret = panel.querySelector('#sst_secrets_toggle .wt-secrets-caret');
@@ -1173,6 +2933,70 @@ function buildPanel() {
     if (!open) renderSecretsPanel();
   });
 
+  panel.querySelector('#sst_quests_toggle').addEventListener('click', () => {
+    const body  = panel.querySelector('#sst_quests_body');
+    const caret = panel.querySelector('#sst_quests_toggle .wt-secrets-caret');
+    const open  = body.style.display !== 'none';
+    body.style.display  = open ? 'none' : 'block';
+    caret.textContent   = open ? '▼' : '▲';
+    if (!open) renderQuestsPanel();
+  });
+
+  panel.querySelector('#sst_rejected_clear').addEventListener('click', () => {
+    rejectedChanges = [];
+    renderRejectedPanel();
+  });
+
+  panel.querySelector('#sst_roster_toggle').addEventListener('click', () => {
+    const body  = panel.querySelector('#sst_roster_body');
+    const caret = panel.querySelector('#sst_roster_toggle .wt-secrets-caret');
+    const open  = body.style.display !== 'none';
+    body.style.display  = open ? 'none' : 'block';
+    caret.textContent   = open ? '▼' : '▲';
+    if (!open) renderRosterPanel();
+  });
+
+  // Bulk lifecycle changes
+  const rosterTicked = () => [...panel.querySelectorAll('.sst-roster-pick:checked')].map(cb => cb.dataset.file);
+  const bulkStatus = (status) => {
+    const files = rosterTicked();
+    if (!files.length) { updateStatus('no NPCs selected'); return; }
+    for (const file of files) setNpcStatus(file, status);
+    persistLocal();
+    schedulePushToGist();
+    rebuildContextInjection();
+    updatePanelSummary();
+    renderRosterPanel();
+    updateStatus(`${files.length} NPC${files.length !== 1 ? 's' : ''} ${status === 'active' ? 'restored' : 'archived'} ✓`);
+  };
+  panel.querySelector('#sst_roster_archive').addEventListener('click', () => bulkStatus('archived'));
+  panel.querySelector('#sst_roster_restore').addEventListener('click', () => bulkStatus('active'));
+  panel.querySelector('#sst_roster_link').addEventListener('click', () => {
+    const cards = (getContext()?.characters || []).map(c => c.name).filter(Boolean);
+    let linked = 0;
+    for (const [, npc] of Object.entries(gistFiles).filter(([k, v]) => k.startsWith('npc_') && v?.display_name)) {
+      if (npc.character_card) continue;
+      const names = [npc.display_name, npc.alias, ...(npc.aliases || [])].filter(Boolean).map(n => n.toLowerCase());
+      const card  = cards.find(c => names.includes(c.toLowerCase()));
+      if (card) { npc.character_card = card; linked++; }
+    }
+    if (!linked) { updateStatus('no matching character cards'); return; }
+    persistLocal();
+    schedulePushToGist();
+    rebuildContextInjection();
+    updatePanelSummary();
+    renderRosterPanel();
+    updateStatus(`linked ${linked} NPC${linked !== 1 ? 's' : ''} to character cards ✓`);
+  });
+  panel.querySelector('#sst_roster_unseen').addEventListener('click', () => {
+    updateSightings();
+    panel.querySelectorAll('.sst-roster-pick').forEach(cb => {
+      const file = cb.dataset.file;
+      cb.checked = npcStatus(gistFiles[file]) === 'active'
+        && !chatState.sightings[file] && !chatState.pinned.includes(file);
+    });
+  });
+
   panel.querySelector('#sst_secret_add').addEventListener('click', () => {
     const input = panel.querySelector('#sst_secret_new');
     const rawKey = input.value.trim().replace(/\s+/g, '_').toLowerCase();
@@ -1212,6 +3036,234 @@ function buildPanel() {
   $('#extensions_settings').append(panel);
 }
 
+// ── Scoring rules editor (Scenario Config) ────────────────────
+function fillScoringFields(scoring) {
+  const set = (id, v) => { const el = document.getElementById(id); if (el) el.value = v; };
+  set('sst_score_name',    scoring.name_weight);
+  set('sst_score_first',   scoring.first_name_weight);
+  set('sst_score_trigger', scoring.trigger_weight);
+  set('sst_score_speaker', scoring.speaker_weight);
+  const list = document.getElementById('sst_score_rules');
+  if (!list) return;
+  list.innerHTML = scoring.rules.map(r => `
+    <div class="sst-rule-row">
+      <input class="sst-rule-label"   type="text"   value="${escapeHtml(r.label)}"   placeholder="label">
+      <input class="sst-rule-field"   type="text"   value="${escapeHtml(r.field)}"   placeholder="current_state.x or @location">
+      <input class="sst-rule-pattern" type="text"   value="${escapeHtml(r.pattern)}" placeholder="(empty = has a value)">
+      <input class="sst-rule-weight"  type="number" value="${Number(r.weight) || 0}">
+      <input class="sst-rule-group"   type="text"   value="${escapeHtml(r.group)}"   placeholder="—">
+      <button class="sst-chip-btn sst-rule-del" title="Remove rule">×</button>
+    </div>`).join('');
+}
+
+function readScoringFields(panel) {
+  const num = (id, def) => { const v = parseFloat(panel.querySelector(id)?.value); return Number.isFinite(v) ? v : def; };
+  return {
+    name_weight:       num('#sst_score_name',    DEFAULT_SCORING.name_weight),
+    first_name_weight: num('#sst_score_first',   DEFAULT_SCORING.first_name_weight),
+    trigger_weight:    num('#sst_score_trigger', DEFAULT_SCORING.trigger_weight),
+    speaker_weight:    num('#sst_score_speaker', DEFAULT_SCORING.speaker_weight),
+    rules: [...panel.querySelectorAll('.sst-rule-row')].map(row => ({
+      label:   row.querySelector('.sst-rule-label').value.trim(),
+      field:   row.querySelector('.sst-rule-field').value.trim(),
+      pattern: row.querySelector('.sst-rule-pattern').value.trim(),
+      weight:  parseFloat(row.querySelector('.sst-rule-weight').value) || 0,
+      group:   row.querySelector('.sst-rule-group').value.trim()
+    }))
+  };
+}
+
+// Every NPC's score against the current chat under the given (unsaved) scoring
+function renderScorePreview(scoring) {
+  const el = document.getElementById('sst_score_preview');
+  if (!el) return;
+  updateSightings();
+  const lastIdx = (getContext()?.chat?.length || 1) - 1;
+  const rows = Object.entries(gistFiles)
+    .filter(([k, v]) => k.startsWith('npc_') && v?.display_name)
+    .map(([file, npc]) => ({ file, npc, ...scoreNpc(npc, file, lastIdx, scoring) }))
+    .sort((a, b) => b.score - a.score);
+  if (!rows.length) { el.innerHTML = '<div class="wt-secrets-empty">No NPCs loaded.</div>'; return; }
+  el.innerHTML = rows.map(r => {
+    const flag = npcStatus(r.npc) !== 'active' ? ` (${npcStatus(r.npc)})`
+      : chatState.excluded.includes(r.file) ? ' 🚫' : chatState.pinned.includes(r.file) ? ' 📌' : '';
+    return `<div class="sst-score-row${r.score > 0 ? '' : ' zero'}"><b>${r.score}</b> ${escapeHtml(r.npc.display_name)}${flag}`
+      + `${r.reasons.length ? ` <span class="sst-why">— ${escapeHtml(r.reasons.join(', '))}</span>` : ''}</div>`;
+  }).join('');
+}
+
+// ── wst block fields ──────────────────────────────────────────
+function fillWstFields() {
+  const w = getWstSettings();
+  const inject  = document.getElementById('sst_wst_inject');
+  const display = document.getElementById('sst_wst_display');
+  const strip   = document.getElementById('sst_wst_strip');
+  if (inject)  inject.checked = w.inject;
+  if (display) display.value  = w.display;
+  if (strip)   strip.checked  = w.strip;
+}
+
+// ── Extraction backend fields ─────────────────────────────────
+function fillBackendFields() {
+  const b   = getExtractorSettings();
+  const set = (id, v) => { const el = document.getElementById(id); if (el) el.value = v ?? ''; };
+  const chk = (id, v) => { const el = document.getElementById(id); if (el) el.checked = !!v; };
+  chk('sst_backend_enabled',  b.enabled);
+  set('sst_backend_url',      b.url);
+  set('sst_backend_key',      b.api_key);
+  set('sst_backend_model',    b.model);
+  set('sst_backend_temp',     b.temperature);
+  set('sst_backend_max',      b.max_tokens);
+  set('sst_backend_timeout',  b.timeout_sec);
+  set('sst_backend_system',   b.system_prompt);
+  chk('sst_backend_fallback', b.fallback);
+}
+
+function readBackendFields(panel) {
+  const val = id => panel.querySelector(id)?.value.trim() ?? '';
+  const num = (id, def, lo, hi) => {
+    const n = parseFloat(val(id));
+    return Number.isFinite(n) ? Math.max(lo, Math.min(hi, n)) : def;
+  };
+  return {
+    enabled:       panel.querySelector('#sst_backend_enabled').checked,
+    url:           val('#sst_backend_url') || DEFAULT_EXTRACTOR.url,
+    api_key:       val('#sst_backend_key'),
+    model:         val('#sst_backend_model'),
+    temperature:   num('#sst_backend_temp',    DEFAULT_EXTRACTOR.temperature, 0, 2),
+    max_tokens:    Math.round(num('#sst_backend_max', DEFAULT_EXTRACTOR.max_tokens, 64, 32000)),
+    timeout_sec:   Math.round(num('#sst_backend_timeout', DEFAULT_EXTRACTOR.timeout_sec, 5, 600)),
+    system_prompt: val('#sst_backend_system') || DEFAULT_EXTRACTOR.system_prompt,
+    fallback:      panel.querySelector('#sst_backend_fallback').checked
+  };
+}
+
+// ── Custom categories editor (Scenario Config) ────────────────
+function fillCustomCategoryFields(cats) {
+  const list = document.getElementById('sst_custom_cats');
+  if (!list) return;
+  const opts = (values, cur) => values.map(v => `<option value="${v}"${v === cur ? ' selected' : ''}>${v}</option>`).join('');
+  list.innerHTML = cats.map(c => `
+    <div class="sst-custom-row">
+      <div class="sst-custom-line">
+        <input class="sst-custom-name"   type="text" value="${escapeHtml(c.name)}"   placeholder="name (sanity_points)">
+        <input class="sst-custom-label"  type="text" value="${escapeHtml(c.label)}"  placeholder="label">
+        <input class="sst-custom-target" type="text" value="${escapeHtml(c.target)}" placeholder="world_state.json / npc">
+        <input class="sst-custom-path"   type="text" value="${escapeHtml(c.path)}"   placeholder="path.in.file">
+        <select class="sst-custom-type">${opts(CUSTOM_TYPES, c.type)}</select>
+        <select class="sst-custom-merge">${opts(CUSTOM_MERGES, c.merge)}</select>
+        <label class="sst-custom-inject-label" title="Show the current value in the injected context">
+          <input class="sst-custom-inject" type="checkbox"${c.inject !== false ? ' checked' : ''}> inject
+        </label>
+        <button class="sst-chip-btn sst-custom-del" title="Remove category">×</button>
+      </div>
+      <input class="sst-custom-instruction" type="text" value="${escapeHtml(c.instruction)}"
+        placeholder="Instruction for the extractor, e.g. Did the PC lose or regain sanity?">
+    </div>`).join('');
+}
+
+function readCustomCategoryFields(panel) {
+  return [...panel.querySelectorAll('.sst-custom-row')].map(row => ({
+    name:        row.querySelector('.sst-custom-name').value.trim(),
+    label:       row.querySelector('.sst-custom-label').value.trim(),
+    instruction: row.querySelector('.sst-custom-instruction').value.trim(),
+    target:      row.querySelector('.sst-custom-target').value.trim() || 'world_state.json',
+    path:        row.querySelector('.sst-custom-path').value.trim(),
+    type:        row.querySelector('.sst-custom-type').value,
+    merge:       row.querySelector('.sst-custom-merge').value,
+    inject:      row.querySelector('.sst-custom-inject').checked
+  }));
+}
+
+// → error message, or null when the definition is usable
+function customCategoryProblem(cat, earlier) {
+  if (!/^[a-z][a-z0-9_]*$/.test(cat.name)) return `custom category "${cat.name}": name must be lowercase letters, digits and _`;
+  if (DELTA_SCHEMA[cat.name])               return `custom category "${cat.name}": clashes with a built-in category`;
+  if (earlier.some(c => c.name === cat.name)) return `custom category "${cat.name}" is defined twice`;
+  if (!cat.path)                            return `custom category "${cat.name}": path is required`;
+  if (cat.target !== 'npc' && !/\.json$/.test(cat.target)) return `custom category "${cat.name}": target must be a .json file or "npc"`;
+  if (cat.merge === 'increment' && !['number', 'map'].includes(cat.type)) return `custom category "${cat.name}": increment needs a number or map type`;
+  if (cat.merge === 'append' && cat.type === 'number') return `custom category "${cat.name}": use increment for numbers`;
+  return null;
+}
+
+// ── Calendar fields (Scenario Config) ─────────────────────────
+function readCalendarFields(panel) {
+  const type = panel.querySelector('#sst_calendar_type').value;
+  if (type !== 'custom') return { type: 'gregorian' };
+  const pairs = text => text.split('\n')
+    .map(l => l.split(':').map(x => x.trim()))
+    .filter(([name]) => name);
+  return {
+    type: 'custom',
+    months:   pairs(panel.querySelector('#sst_calendar_months').value)
+      .map(([name, days]) => ({ name, days: parseInt(days, 10) || 30 })),
+    weekdays: panel.querySelector('#sst_calendar_weekdays').value.split(',').map(w => w.trim()).filter(Boolean),
+    eras:     pairs(panel.querySelector('#sst_calendar_eras').value)
+      .map(([name, offset]) => ({ name, offset: parseInt(offset, 10) || 0 }))
+  };
+}
+
+function fillCalendarFields() {
+  const cal = getScenarioConfig().calendar;
+  const typeEl = document.getElementById('sst_calendar_type');
+  if (!typeEl) return;
+  typeEl.value = cal?.type === 'custom' ? 'custom' : 'gregorian';
+  document.getElementById('sst_calendar_custom').style.display = typeEl.value === 'custom' ? '' : 'none';
+  if (cal?.type !== 'custom') return;
+  document.getElementById('sst_calendar_months').value   = (cal.months || []).map(m => `${m.name}: ${m.days}`).join('\n');
+  document.getElementById('sst_calendar_weekdays').value = (cal.weekdays || []).join(', ');
+  document.getElementById('sst_calendar_eras').value     = (cal.eras || []).map(e => `${e.name}: ${e.offset || 0}`).join('\n');
+}
+
+// Shows how the current in-world date reads under the configured calendar
+function renderCalendarPreview() {
+  const el = document.getElementById('sst_calendar_preview');
+  if (!el) return;
+  const raw = worldState().in_world_date;
+  const cal = getCalendar();
+  const parsed = parseDate(raw, cal);
+  el.textContent = !raw ? 'No in-world date set yet.'
+    : parsed ? `Current date reads as: ${formatDate(parsed, cal)}`
+    : `"${raw}" doesn't parse with this calendar — elapsed time and reminders are disabled.`;
+}
+
+// ── Injection settings rows (Scenario Config) ─────────────────
+function buildInjectionRows() {
+  const posOpts = [['before', 'Before main prompt'], ['after', 'After main prompt'], ['in_chat', 'In-chat @ depth']];
+  return Object.entries(INJECTION_BLOCKS).map(([block, label]) => {
+    const s = getInjectionSettings(block);
+    const pos  = posOpts.map(([k, l]) =>
+      `<option value="${INJECT_POSITIONS[k]}"${s.position === INJECT_POSITIONS[k] ? ' selected' : ''}>${l}</option>`).join('');
+    const role = Object.entries(INJECT_ROLES).map(([k, v]) =>
+      `<option value="${v}"${s.role === v ? ' selected' : ''}>${k}</option>`).join('');
+    return `
+      <div class="sst-inject-row" data-block="${block}">
+        <span class="sst-inject-name">${label}</span>
+        <select class="sst-inject-pos">${pos}</select>
+        <input class="sst-inject-depth wt-input wt-input--narrow" type="number" min="0" max="100" value="${s.depth}"
+          title="Depth (messages from the bottom) — only used for in-chat position">
+        <select class="sst-inject-role">${role}</select>
+        <label class="sst-inject-scan" title="Include this block in world-info keyword scanning">
+          <input type="checkbox"${s.scan ? ' checked' : ''}> scan
+        </label>
+      </div>`;
+  }).join('');
+}
+
+function readInjectionRows(panel) {
+  const out = {};
+  panel.querySelectorAll('.sst-inject-row').forEach(row => {
+    out[row.dataset.block] = {
+      position: parseInt(row.querySelector('.sst-inject-pos').value, 10),
+      depth:    Math.max(0, parseInt(row.querySelector('.sst-inject-depth').value, 10) || 0),
+      role:     parseInt(row.querySelector('.sst-inject-role').value, 10),
+      scan:     row.querySelector('.sst-inject-scan input').checked
+    };
+  });
+  return out;
+}
+
 // ── Secrets panel renderer ────────────────────────────────────
 function renderSecretsPanel() {
   const listEl = document.getElementById('sst_secrets_list');
@@ -1266,6 +3318,149 @@ function renderSecretsPanel() {
   );
 }
 
+// ── Objectives panel renderer ─────────────────────────────────
+function renderQuestsPanel() {
+  const listEl = document.getElementById('sst_quests_list');
+  if (!listEl) return;
+  const quests = allQuestEntries();
+  if (!quests.length) {
+    listEl.innerHTML = '<div class="wt-secrets-empty">No objectives tracked yet.</div>';
+    return;
+  }
+
+  // Open/active first, then finished ones
+  const rank = q => (q.status === 'active' ? 0 : q.status === 'open' ? 1 : 2);
+  quests.sort(([, a], [, b]) => rank(a) - rank(b));
+
+  listEl.innerHTML = quests.map(([file, q]) => {
+    const opts  = QUEST_STATUSES.map(st =>
+      `<option value="${st}"${q.status === st ? ' selected' : ''}>${st}</option>`).join('');
+    const giver = q.giver ? ` — ${escapeHtml(gistFiles[q.giver]?.display_name || q.giver)}` : '';
+    const due   = q.deadline ? ` · due ${escapeHtml(q.deadline)}` : '';
+    const steps = (q.steps || []).map((st, i) => `
+        <div class="sst-quest-step${st.done ? ' done' : ''}" data-file="${escapeHtml(file)}" data-step="${i}">
+          ${st.done ? '☑' : '☐'} ${escapeHtml(st.text)}
+        </div>`).join('');
+    return `
+      <div class="sst-quest" data-file="${escapeHtml(file)}">
+        <div class="wt-secret-row">
+          <span class="wt-secret-label">${escapeHtml(q.display_name || file)}${giver}${due}</span>
+          <select class="sst-quest-status" data-file="${escapeHtml(file)}">${opts}</select>
+        </div>
+        ${steps}
+      </div>`;
+  }).join('');
+
+  const commit = () => {
+    persistLocal();
+    schedulePushToGist();
+    rebuildContextInjection();
+    renderQuestsPanel();
+  };
+  listEl.querySelectorAll('.sst-quest-step').forEach(el =>
+    el.addEventListener('click', e => {
+      const { file, step } = e.currentTarget.dataset;
+      const st = gistFiles[file]?.steps?.[step];
+      if (!st) return;
+      st.done = !st.done;
+      commit();
+    })
+  );
+  listEl.querySelectorAll('.sst-quest-status').forEach(sel =>
+    sel.addEventListener('change', e => {
+      const q = gistFiles[e.currentTarget.dataset.file];
+      if (!q) return;
+      q.status = e.currentTarget.value;
+      commit();
+      updateStatus(`${q.display_name}: ${q.status}`);
+    })
+  );
+}
+
+// ── NPC roster renderer ───────────────────────────────────────
+function renderRosterPanel() {
+  const listEl = document.getElementById('sst_roster_list');
+  if (!listEl) return;
+  const npcs = Object.entries(gistFiles).filter(([k, v]) => k.startsWith('npc_') && v?.display_name);
+  if (!npcs.length) {
+    listEl.innerHTML = '<div class="wt-secrets-empty">No NPCs tracked yet.</div>';
+    return;
+  }
+
+  // Active first, archived last, alphabetical within each
+  npcs.sort(([, a], [, b]) => (NPC_STATUSES.indexOf(npcStatus(a)) - NPC_STATUSES.indexOf(npcStatus(b)))
+    || a.display_name.localeCompare(b.display_name));
+
+  const cards = [...new Set((getContext()?.characters || []).map(c => c.name).filter(Boolean))].sort();
+  listEl.innerHTML = npcs.map(([file, npc]) => {
+    const status = npcStatus(npc);
+    const card   = npc.character_card || '';
+    const cardOpts = ['', ...(card && !cards.includes(card) ? [card] : []), ...cards].map(c =>
+      `<option value="${escapeHtml(c)}"${c === card ? ' selected' : ''}>${c ? escapeHtml(c) : '🎭 no card'}</option>`).join('');
+    const opts   = NPC_STATUSES.map(st =>
+      `<option value="${st}"${status === st ? ' selected' : ''}>${st}</option>`).join('');
+    const note   = [npc.status_since, npc.status_note].filter(Boolean).join(' \u2014 ');
+    return `
+      <div class="wt-secret-row sst-roster-row ${status}" title="${escapeHtml(note)}">
+        <input type="checkbox" class="sst-roster-pick" data-file="${escapeHtml(file)}">
+        <span class="wt-secret-label">${escapeHtml(npc.display_name)}${npc.alias ? ` <i>"${escapeHtml(npc.alias)}"</i>` : ''}</span>
+        <select class="sst-roster-card" data-file="${escapeHtml(file)}" title="Character card playing this NPC">${cardOpts}</select>
+        <select class="sst-roster-status" data-file="${escapeHtml(file)}">${opts}</select>
+      </div>`;
+  }).join('');
+
+  listEl.querySelectorAll('.sst-roster-card').forEach(sel =>
+    sel.addEventListener('change', e => {
+      const npc = gistFiles[e.currentTarget.dataset.file];
+      if (!npc) return;
+      npc.character_card = e.currentTarget.value;
+      persistLocal();
+      schedulePushToGist();
+      rebuildContextInjection();
+      updatePanelSummary();
+      updateStatus(npc.character_card ? `${npc.display_name} ↔ card ${npc.character_card}` : `${npc.display_name}: card unlinked`);
+    })
+  );
+
+  listEl.querySelectorAll('.sst-roster-status').forEach(sel =>
+    sel.addEventListener('change', e => {
+      const file = e.currentTarget.dataset.file;
+      setNpcStatus(file, e.currentTarget.value);
+      persistLocal();
+      schedulePushToGist();
+      rebuildContextInjection();
+      updatePanelSummary();
+      renderRosterPanel();
+      updateStatus(`${gistFiles[file]?.display_name}: ${npcStatus(gistFiles[file])}`);
+    })
+  );
+}
+
+// ── Validator rejections ──────────────────────────────────────
+function renderRejectedPanel() {
+  const wrap   = document.getElementById('sst_rejected');
+  const listEl = document.getElementById('sst_rejected_list');
+  if (!wrap || !listEl) return;
+  if (!rejectedChanges.length) { wrap.style.display = 'none'; listEl.innerHTML = ''; return; }
+  wrap.style.display = '';
+  document.getElementById('sst_rejected_count').textContent = `⛔ ${rejectedChanges.length} rejected by validator`;
+  listEl.innerHTML = rejectedChanges.map(r => {
+    const where = [r.category, r.path].filter(Boolean).join(' › ');
+    const value = r.value === undefined ? '' : JSON.stringify(r.value) ?? '';
+    return `
+      <div class="sst-rejected-row" data-id="${r.id}">
+        <span class="sst-rejected-where">${escapeHtml(where)}</span>: ${escapeHtml(r.reason)}
+        ${value ? `<div class="wt-card-old">${escapeHtml(value.slice(0, 80))}${value.length > 80 ? '…' : ''}</div>` : ''}
+        <button class="sst-chip-btn sst-rejected-del" data-id="${r.id}" title="Dismiss">×</button>
+      </div>`;
+  }).join('');
+  listEl.querySelectorAll('.sst-rejected-del').forEach(btn =>
+    btn.addEventListener('click', e => {
+      rejectedChanges = rejectedChanges.filter(r => r.id !== e.currentTarget.dataset.id);
+      renderRejectedPanel();
+    })
+  );
+}
 
 function renderQueuePanel() {
   const queueEl  = document.getElementById('sst_queue');
@@ -1294,9 +3489,25 @@ function renderQueuePanel() {
 
   queueEl.innerHTML = pendingQueue.map(item => {
     const icon     = TYPE_ICONS[item.type] || '•';
-    const oldSnip  = item.oldValue != null
+    const oldSnip  = item.oldValue != null && !item.diff
       ? `<div class="wt-card-old">was: ${escapeHtml(JSON.stringify(item.oldValue).slice(0, 60))}</div>`
       : '';
+    const diffSnip = item.diff?.length
+      ? `<div class="wt-card-diff">${item.diff.map(l =>
+          `<div class="wt-diff-${DIFF_KINDS[l.kind] || 'mod'}">${l.kind} ${escapeHtml(l.text)}</div>`).join('')}</div>`
+      : '';
+    const warnSnip = item.warning
+      ? `<div class="wt-card-warn">${escapeHtml(item.warning)}</div>`
+      : '';
+    const pickSnip = item.type === 'disambiguate'
+      ? `<select class="sst-disambig-pick" data-id="${item.id}">${item.candidates.map(c =>
+          `<option value="${escapeHtml(c.file)}"${c.file === item.choice ? ' selected' : ''}>`
+          + `${escapeHtml(gistFiles[c.file]?.display_name || c.file)} (${escapeHtml(c.how)})</option>`).join('')}`
+        + `<option value="${NEW_NPC_CHOICE}"${item.choice === NEW_NPC_CHOICE ? ' selected' : ''}>➕ new NPC "${escapeHtml(item.name)}"</option></select>`
+      : '';
+    const srcSnip  = item.source
+      ? `<div class="wt-card-src">msg #${item.source.mesId}${item.source.swipeId ? ` · swipe ${item.source.swipeId + 1}` : ''}</div>`
+      : '';
 
     // Import card — stacked layout with expand/collapse preview
     if (item.type === 'import') {
@@ -1327,6 +3538,10 @@ function renderQueuePanel() {
         <div class="wt-card-body">
           <div class="wt-card-desc">${escapeHtml(item.description)}</div>
           ${oldSnip}
+          ${diffSnip}
+          ${pickSnip}
+          ${warnSnip}
+          ${srcSnip}
         </div>
         <div class="wt-card-actions">
           <button class="menu_button wt-btn wt-btn-accept wt-accept" data-id="${item.id}">✓</button>
@@ -1342,6 +3557,12 @@ function renderQueuePanel() {
   queueEl.querySelectorAll('.wt-deny').forEach(btn =>
     btn.addEventListener('click', e => { e.stopPropagation(); denyChange(e.currentTarget.dataset.id); })
   );
+  queueEl.querySelectorAll('.sst-disambig-pick').forEach(sel =>
+    sel.addEventListener('change', e => {
+      const item = pendingQueue.find(i => i.id === e.currentTarget.dataset.id);
+      if (item) item.choice = e.currentTarget.value;
+    })
+  );
   queueEl.querySelectorAll('.wt-toggle').forEach(btn =>
     btn.addEventListener('click', e => { e.stopPropagation(); toggleExpand(e.currentTarget.dataset.id); })
   );
@@ -1362,15 +3583,75 @@ function updatePanelSummary() {
 
   if (ws.in_world_date) lines.push(`📅 ${ws.in_world_date}`);
   if (ws.arc) lines.push(`📖 Arc ${ws.arc}${ws.chapter ? ' ch.' + ws.chapter : ''}`);
+  const locFile = currentLocationFile();
+  if (locFile) lines.push(`📍 ${escapeHtml(gistFiles[locFile]?.display_name || ws.current_location)}`);
   if (div) lines.push(`⚡ Divergence ${div.rating}/${div.threshold || 15}${!div.timeline_reliable ? ' ⚠' : ''}`);
-  lines.push(`👤 ${npcN} NPC${npcN !== 1 ? 's' : ''} in Gist`);
-
-  const selected = selectRelevantNpcs();
-  if (selected.length) {
-    lines.push(`🎯 Injecting: ${selected.map(n => n.alias || n.display_name).join(', ')}`);
+  const inactive = allNpcFiles().filter(n => npcStatus(n) !== 'active').length;
+  lines.push(`👤 ${npcN} NPC${npcN !== 1 ? 's' : ''} in Gist${inactive ? ` (${inactive} inactive)` : ''}`);
+  const pcItems = allItemEntries().filter(([, it]) => it.owner === 'pc' && (!it.status || it.status === 'held')).length;
+  if (pcItems) lines.push(`🎒 ${pcItems} item${pcItems !== 1 ? 's' : ''} carried`);
+
+  const plan = buildInjectionPlan();
+  const chip = (file, label, buttons) =>
+    `<span class="sst-npc-chip${chatState.pinned.includes(file) ? ' pinned' : ''}">${label}${buttons.map(([cls, icon, title]) =>
+      `<button class="sst-chip-btn ${cls}" data-file="${escapeHtml(file)}" title="${title}">${icon}</button>`).join('')}</span>`;
+  if (plan.entries.length) {
+    lines.push(`🎯 Injecting: ${plan.entries.map(e => {
+      const file = fileOfNpc(e.npc);
+      const pin  = chatState.pinned.includes(file);
+      const label = escapeHtml(e.npc.alias || e.npc.display_name)
+        + (isCardInChat(e.npc) ? ' 🎭' : '') + (e.mode === 'compact' ? ' (compact)' : '');
+      return chip(file, label, [
+        ['sst-pin',  pin ? '📍' : '📌', pin ? 'Unpin' : 'Pin — always inject in this chat'],
+        ['sst-excl', '🚫', 'Exclude — never inject in this chat']
+      ]);
+    }).join(' ')}`);
+    // Why each one made the cut
+    const ranked = new Map(rankNpcs().map(r => [r.npc, r]));
+    for (const e of plan.entries) {
+      const r = ranked.get(e.npc);
+      if (r) lines.push(`<span class="sst-why">&nbsp;&nbsp;${escapeHtml(e.npc.alias || e.npc.display_name)} ${r.score}: ${escapeHtml(r.reasons.join(', '))}</span>`);
+    }
+  }
+  if (plan.memorials.length) {
+    lines.push(`🪦 Remembered: ${plan.memorials.map(m => escapeHtml(m.npc.alias || m.npc.display_name)).join(', ')}`);
+  }
+  if (plan.dropped.length) {
+    lines.push(`✂ Over budget: ${plan.dropped.map(n => escapeHtml(n.alias || n.display_name)).join(', ')}`);
+  }
+  if (chatState.excluded.length) {
+    lines.push(`🚫 Excluded: ${chatState.excluded.map(file =>
+      chip(file, escapeHtml(gistFiles[file]?.display_name || file), [['sst-excl', '↩', 'Stop excluding']])).join(' ')}`);
+  }
+  const injected = new Set(plan.entries.map(e => fileOfNpc(e.npc)));
+  const pinnedOut = chatState.pinned.filter(f => !injected.has(f));
+  if (pinnedOut.length) {
+    lines.push(`📌 Pinned but missing: ${pinnedOut.map(f => chip(f, escapeHtml(f), [['sst-pin', '↩', 'Unpin']])).join(' ')}`);
+  }
+  const npcOpts = Object.entries(gistFiles)
+    .filter(([k, v]) => k.startsWith('npc_') && v?.display_name)
+    .sort(([, a], [, b]) => a.display_name.localeCompare(b.display_name))
+    .map(([k, v]) => `<option value="${escapeHtml(k)}">${escapeHtml(v.display_name)}</option>`).join('');
+  if (npcOpts) {
+    lines.push(`<span class="sst-pin-picker"><select id="sst_pin_select"><option value="">Pin / exclude an NPC…</option>${npcOpts}</select>`
+      + `<button class="sst-chip-btn" id="sst_pin_btn" title="Pin selected">📌</button>`
+      + `<button class="sst-chip-btn" id="sst_excl_btn" title="Exclude selected">🚫</button></span>`);
+  }
+  if (getTokenBudget()) {
+    const used = [plan.world, plan.loc, plan.inv, plan.fac].reduce((sum, t) => sum + estimateTokens(t), 0)
+      + estimateTokens(renderNpcBlock(plan.entries, plan.memorials));
+    lines.push(`🧮 ~${used}/${getTokenBudget()} tokens`);
   }
 
   el.innerHTML = lines.join('<br>');
+
+  el.querySelectorAll('.sst-pin').forEach(btn =>
+    btn.addEventListener('click', e => togglePin(e.currentTarget.dataset.file)));
+  el.querySelectorAll('.sst-excl').forEach(btn =>
+    btn.addEventListener('click', e => toggleExclude(e.currentTarget.dataset.file)));
+  const pick = () => el.querySelector('#sst_pin_select')?.value;
+  el.querySelector('#sst_pin_btn')?.addEventListener('click', () => { if (pick()) togglePin(pick()); });
+  el.querySelector('#sst_excl_btn')?.addEventListener('click', () => { if (pick()) toggleExclude(pick()); });
 }
 
 // ═══════════════════════════════════════════════════════════════
@@ -1385,6 +3666,103 @@ function npcFilename(displayName) {
   return `npc_${displayName.toLowerCase().replace(/\s+/g, '_').replace(/[^a-z0-9_]/g, '')}.json`;
 }
 
+// Entity files (loc_, item_, faction_, quest_) share one naming scheme
+function entityFilename(prefix, displayName) {
+  return `${prefix}_${displayName.toLowerCase().replace(/\s+/g, '_').replace(/[^a-z0-9_]/g, '')}.json`;
+}
+
+// Name or filename → filename. With allowNew, an unknown name maps to the
+// filename a new entity would get; otherwise null.
+function resolveEntityFilename(prefix, name, allowNew = true) {
+  if (!name || typeof name !== 'string') return null;
+  if (new RegExp(`^${prefix}_.*\\.json$`).test(name)) return allowNew || gistFiles[name] ? name : null;
+  const slug = entityFilename(prefix, name);
+  if (gistFiles[slug]) return slug;
+  const n = name.toLowerCase().trim();
+  const hit = entityEntries(prefix).find(([, e]) => (e.display_name || '').toLowerCase() === n);
+  if (hit) return hit[0];
+  return allowNew ? slug : null;
+}
+
+const locFilename     = name => entityFilename('loc', name);
+const itemFilename    = name => entityFilename('item', name);
+const factionFilename = name => entityFilename('faction', name);
+const questFilename   = name => entityFilename('quest', name);
+
+const resolveLocationFilename = (name, allowNew = true) => resolveEntityFilename('loc', name, allowNew);
+const resolveItemFilename     = (name, allowNew = true) => resolveEntityFilename('item', name, allowNew);
+const resolveFactionFilename  = name => resolveEntityFilename('faction', name);
+const resolveQuestFilename    = (name, allowNew = true) => resolveEntityFilename('quest', name, allowNew);
+
+function getCalendar() {
+  return resolveCalendar(getScenarioConfig().calendar);
+}
+
+const QUEST_STATUSES = ['open', 'active', 'completed', 'failed'];
+
+// ── Custom categories ─────────────────────────────────────────
+const customLabel = cat => cat.label || cat.name.replace(/_/g, ' ');
+
+function mergeCustomValue(cat, old, incoming) {
+  if (cat.type === 'map') {
+    const base = old && typeof old === 'object' && !Array.isArray(old) ? { ...old } : {};
+    for (const [k, v] of Object.entries(incoming || {})) base[k] = mergeCustomValue({ ...cat, type: typeof v === 'number' ? 'number' : 'text' }, base[k], v);
+    return base;
+  }
+  if (cat.merge === 'increment') return (Number(old) || 0) + (Number(incoming) || 0);
+  if (cat.merge === 'append') {
+    if (cat.type === 'text') return old ? `${old}; ${incoming}` : incoming;
+    const base = Array.isArray(old) ? old : (old == null || old === '' ? [] : [old]);
+    const add  = (Array.isArray(incoming) ? incoming : [incoming]).filter(v => !base.includes(v));
+    return [...base, ...add];
+  }
+  return incoming;
+}
+
+function formatCustomValue(v) {
+  if (v == null || v === '') return '';
+  if (Array.isArray(v)) return v.join('; ');
+  if (typeof v === 'object') return Object.entries(v).map(([k, x]) => `${k}: ${x}`).join(', ');
+  return String(v);
+}
+
+// Injected custom values for one file — [{ label, value }] for templates
+function trackedValues(targetFilter, data) {
+  return getCustomCategories()
+    .filter(cat => cat.inject !== false && targetFilter(cat))
+    .map(cat => ({ label: customLabel(cat), value: formatCustomValue(deepGet(data(cat), cat.path)) }))
+    .filter(t => t.value);
+}
+
+// NPC lifecycle — files without a status predate it and count as active
+const NPC_STATUSES = ['active', 'absent', 'dead', 'archived'];
+const npcStatus    = npc => NPC_STATUSES.includes(npc?.status) ? npc.status : 'active';
+
+// Step reference → index: 1-based number, or text (exact, then substring)
+function findQuestStep(quest, step) {
+  const steps = quest?.steps || [];
+  const num = Number(step);
+  if (Number.isInteger(num) && num >= 1 && num <= steps.length) return num - 1;
+  const t = String(step ?? '').toLowerCase().trim();
+  if (!t) return -1;
+  const exact = steps.findIndex(st => String(st.text).toLowerCase().trim() === t);
+  if (exact !== -1) return exact;
+  return steps.findIndex(st => {
+    const s = String(st.text).toLowerCase();
+    return s.includes(t) || t.includes(s);
+  });
+}
+
+function ownerName(owner) {
+  if (!owner) return 'nobody';
+  if (owner === 'pc') return 'PC';
+  return gistFiles[owner]?.display_name || owner;
+}
+
+function fileOfNpc(npc) {
+  return Object.entries(gistFiles).find(([, v]) => v === npc)?.[0];
+}
+
 function deepGet(obj, path) {
   if (!obj) return undefined;
   return path.split('.').reduce((acc, k) => acc?.[k], obj);
@@ -1421,8 +3799,13 @@ function registerEventHooks() {
     currentChatId   = chatId;
     gistFiles       = {};
     pendingQueue    = [];
+    rejectedChanges = [];
     lastMessageText = '';
+    draftedCard     = null;
+    loadChatState();
     renderQueuePanel();
+    renderRejectedPanel();
+    setTimeout(foldForgeBlocks, 0);
 
     // Per-chat lookup first, then global fallback (covers page refresh)
     const storedId = getGistIdForChat(chatId);
@@ -1444,7 +3827,43 @@ function registerEventHooks() {
   });
 
   events.on('message_received', onMessageReceived);
-  events.on('generation_ended', rebuildContextInjection);
+  events.on('chat_completion_prompt_ready', stripPromptMessages);
+  events.on('generate_before_combine_prompts', stripPromptText);
+  for (const ev of ['character_message_rendered', 'message_updated', 'message_swiped', 'more_messages_loaded']) {
+    events.on(ev, () => setTimeout(foldForgeBlocks, 0));
+  }
+  events.on('generation_started', (type, _params, dryRun) => {
+    // Quiet prompts are the tracker's own extraction calls, not a reply
+    if (dryRun || type === 'quiet') return;
+    continueBase = type === 'continue' ? continueSnapshot() : null;
+  });
+  events.on('message_deleted', reconcileSources);
+  events.on('message_swiped', (mesId) => {
+    reconcileSources();
+    // Swiping onto an existing swipe won't fire message_received — extract
+    // it here. An empty swipe is about to be generated (message_received
+    // covers it); a swipe whose changes were already accepted is skipped.
+    const msg = getContext()?.chat?.[mesId];
+    if (!msg || msg.is_user || !msg.swipes?.[msg.swipe_id ?? 0]) return;
+    const source = messageSource(Number(mesId));
+    if (chatState.applied.some(entry => sameSource(entry.source, source))) return;
+    extractFromMessage(Number(mesId), true);
+  });
+  events.on('message_edited', (mesId) => {
+    const msg = getContext()?.chat?.[mesId];
+    if (!msg || msg.is_user) return;
+    flagEditedSource(Number(mesId));
+    extractFromMessage(Number(mesId), true);
+  });
+  events.on('generation_ended', () => {
+    draftedCard = null;
+    rebuildContextInjection();
+  });
+  // Group chats: the member picked to speak next — boost their linked NPC
+  events.on('group_member_drafted', (chId) => {
+    draftedCard = getContext()?.characters?.[chId]?.name || null;
+    rebuildContextInjection();
+  });
 }
 
 jQuery(async () => {
@@ -1467,10 +3886,26 @@ jQuery(async () => {
   const promptEl = document.getElementById('sst_extraction_prompt');
   if (nameEl   && cfg.scenario_name)     nameEl.value   = cfg.scenario_name;
   if (promptEl && cfg.extraction_prompt) promptEl.value = cfg.extraction_prompt;
+  const npcTplEl   = document.getElementById('sst_template_npc');
+  const worldTplEl = document.getElementById('sst_template_world');
+  if (npcTplEl   && cfg.templates?.npc)   npcTplEl.value   = cfg.templates.npc;
+  if (worldTplEl && cfg.templates?.world) worldTplEl.value = cfg.templates.world;
+  fillCalendarFields();
+  fillScoringFields(getScoring());
+  fillCustomCategoryFields(getCustomCategories());
+  fillBackendFields();
+  fillWstFields();
+  const la = cfg.lookahead || {};
+  const laEnabled = document.getElementById('sst_lookahead_enabled');
+  if (laEnabled) laEnabled.checked = !!la.enabled;
+  if (la.count) document.getElementById('sst_lookahead_count').value = la.count;
+  if (la.wording_reliable)   document.getElementById('sst_lookahead_reliable').value   = la.wording_reliable;
+  if (la.wording_unreliable) document.getElementById('sst_lookahead_unreliable').value = la.wording_unreliable;
 
   const ctx = getContext();
   if (ctx?.chatId) {
     currentChatId = ctx.chatId;
+    loadChatState();
     const storedId = getGistIdForChat(ctx.chatId);
     if (storedId) {
       gistId = storedId;
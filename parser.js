@@ -2,7 +2,8 @@
 // parser.js — Response parsing & extraction for Scenario State Tracker
 // ============================================================
 
-import { getScenarioConfig } from './gist.js';
+import { getScenarioConfig, getCustomCategories, getExtractorSettings } from './gist.js';
+import { fuzzyResolveFile } from './schema.js';
 
 // ── Strip internal reasoning blocks ──────────────────────────
 export function stripThinkingBlocks(text) {
@@ -22,10 +23,13 @@ export function mergeWithPreviousIfContinue(currentText, previousText, isContinu
   return previousText.trim() + ' ' + currentText.trim();
 }
 
+const PRECEDING_MAX = 3000;   // chars of continued-from text kept as extraction context
+
 // ── Build the extraction prompt ───────────────────────────────
 // Uses user-configured scenario context if set; falls back to
 // generic RP extraction that works for any setting.
-export function buildExtractionPrompt(responseText, currentState) {
+// precedingText: earlier part of a continued message — context only.
+export function buildExtractionPrompt(responseText, currentState, precedingText = '') {
   const config = getScenarioConfig();
   const scenarioContext = (config.extraction_prompt || '').trim();
 
@@ -35,20 +39,33 @@ Return a single JSON object only. If nothing changed, return {}.
 
 Categories to check:
 
-npc_knowledge: Did any NPC learn something new about the PC or world?
+npc_learned: Did any NPC find out a concrete new fact about the PC or the world?
+  Format: { "npc_filename.json": ["one fact per entry, as the NPC now knows it"] }
+
+npc_knowledge: Did a tracked knowledge flag change (e.g. an NPC passing a visibility gate)?
   Format: { "npc_filename.json": { "knowledge.field": newValue } }
+  Plain new facts belong in npc_learned.
 
 npc_relationship: Did any NPC's relationship to the PC visibly shift?
   Format: { "npc_filename.json": "new relationship description" }
 
+npc_npc_relationship: Did the relationship between two NPCs visibly shift (falling out, alliance, romance)?
+  Format: [{ "a": "npc_filename.json", "b": "npc_filename.json", "a_to_b": "how A now sees B", "b_to_a": "how B now sees A" }]
+  Give both sides when the text supports it; omit a side that didn't change.
+
 npc_current_state: Physical or emotional state changes for any NPC.
   Format: { "npc_filename.json": { "emotional_state": "...", "physical_state": "..." } }
 
+npc_status: Did any NPC die, leave the story for good (moved away, vanished, imprisoned), or come back?
+  Format: { "npc_filename.json": { "status": "active" | "absent" | "dead", "note": "one line: how or why" } }
+  Only for definitive events — a wound or stepping out of the room belongs in npc_current_state.
+
 arc_events: Did any tracked story event fire, get altered, or get skipped?
   Format: { "event_id": "fired-canon" | "fired-altered" | "skipped" }
 
 new_npcs: Were any new named characters introduced not yet in the tracker?
-  Format: [{ "display_name": "", "alias": "", "aliases": [], "faction": "", "first_appeared": "" }]
+  Format: [{ "display_name": "", "alias": "", "aliases": [], "faction": "", "first_appeared": "", "appearance": { "hair": "...", "eyes": "..." } }]
+  Include appearance only with details the text actually describes.
 
 npc_appearance: Did the narrative visually describe any NPC's physical appearance concretely?
   Only propose if specific visual details were described (hair, eyes, height, build, clothing, marks).
@@ -58,12 +75,44 @@ npc_appearance: Did the narrative visually describe any NPC's physical appearanc
 npc_aliases: Did any NPC reveal, adopt, or lose a name or alias?
   Format: { "npc_filename.json": { "alias": "primary name", "aliases": ["all known names"] } }
 
+location_change: Did the PC or any NPC move to a different location?
+  Format: { "pc": "Location name", "npcs": { "npc_filename.json": "Location name" } }
+  Omit "pc" if the PC stayed put. Reuse names from known_locations where they fit.
+
+item_gained: Did the PC or an NPC acquire a notable item (gear, artifact, consumable)?
+  Format: [{ "name": "", "owner": "pc" | "npc_filename.json", "description": "", "quantity": 1 }]
+
+item_lost: Was a tracked item lost, used up, destroyed, or left somewhere?
+  Format: [{ "name": "", "status": "lost" | "consumed" | "destroyed" | "stored", "location": "Location name if left somewhere" }]
+
+item_transferred: Did a tracked item change hands?
+  Format: [{ "name": "", "from": "pc" | "npc_filename.json", "to": "pc" | "npc_filename.json" }]
+
+faction_standing: Did any faction's stance toward the PC or toward another faction change?
+  Format: { "faction_filename.json": { "pc": "new standing", "faction_other.json": "new standing" } }
+  Use faction names if no file exists yet.
+
+quest_new: Did the PC take on or get offered a new quest, job, or objective?
+  Format: [{ "name": "", "giver": "npc_filename.json", "description": "", "steps": ["..."], "deadline": "in-world date or null", "rewards": "" }]
+
+quest_progress: Did the PC complete a step of a tracked quest?
+  Format: [{ "quest": "quest name", "step": "step text or 1-based step number" }]
+
+quest_status: Did a tracked quest become active, get completed, or fail?
+  Format: { "quest name": "open" | "active" | "completed" | "failed" }
+
 world_state: Any setting-level changes (factions, territory, public knowledge, active situations)?
   Format: { "field_name": newValue }
 
+patch: Need to add to or remove from a list, or adjust a number, in a tracked file without resending it?
+  Format: [{ "file": "world_state.json" | "faction_filename.json" | "npc_filename.json", "path": "field.sub_field", "$append": ["entry"] }]
+  Ops: { "$set": value }, { "$append": [entries] }, { "$remove": [entries or keys] }, { "$increment": signed number }, { "$merge": { object } }.
+  The same op objects may stand in for a value in world_state and npc_knowledge.
+
 divergence_delta: Integer — how many new story-altering events were confirmed? 0 if none.
 
-in_world_date: Updated date string if time advanced in-scene, otherwise null.`;
+in_world_date: Updated date string if time advanced in-scene, otherwise null.
+  Write it in the same style as the current in_world_date (month name, day, year, optional HH:MM time).${customCategoryPrompt()}`;
 
   // Prepend scenario-specific context if the user provided it.
   // Their context sits at the top so the model reads the setting before the schema.
@@ -76,14 +125,48 @@ in_world_date: Updated date string if time advanced in-scene, otherwise null.`;
 CURRENT STATE SUMMARY:
 ${JSON.stringify(currentState, null, 2)}
 
-NARRATIVE RESPONSE TO ANALYZE:
+${precedingText ? `PRECEDING TEXT (already analyzed — context only, report nothing from it):
+${precedingText.length > PRECEDING_MAX ? '…' + precedingText.slice(-PRECEDING_MAX) : precedingText}
+
+NARRATIVE RESPONSE TO ANALYZE (continues the text above):` : 'NARRATIVE RESPONSE TO ANALYZE:'}
 ${responseText}
 
 Return JSON only. No explanation. No markdown fences. No prose.`;
 }
 
-// ── Run extraction via ST's existing API connection ──────────
+// ── Custom categories (Scenario Config) ───────────────────────
+// Shape of one value as the model should write it
+export function customValueFormat(cat) {
+  const one = {
+    number: cat.merge === 'increment' ? 'signed change, e.g. -2' : 'new number',
+    text:   cat.merge === 'append'    ? '"text to add"'          : '"new text"',
+    list:   cat.merge === 'append'    ? '["entries to add"]'     : '["full new list"]',
+    map:    cat.merge === 'increment' ? '{ "key": signed change }' : '{ "key": new value }'
+  }[cat.type] || 'new value';
+  return cat.target === 'npc' ? `{ "npc_filename.json": ${one} }` : one;
+}
+
+function customCategoryPrompt() {
+  const cats = getCustomCategories();
+  if (!cats.length) return '';
+  const lines = cats.map(cat =>
+    `${cat.name}: ${cat.instruction || `Did ${cat.label || cat.name.replace(/_/g, ' ')} change?`}\n  Format: ${customValueFormat(cat)}`);
+  return `\n\nScenario-specific categories (omit when unchanged):\n\n${lines.join('\n\n')}`;
+}
+
+// ── Run extraction ────────────────────────────────────────────
+// Dedicated backend when configured; otherwise (or on failure, if
+// fallback is on) ST's existing API connection.
 export async function runExtractionCall(prompt) {
+  const backend = getExtractorSettings();
+  if (backend.enabled && backend.url) {
+    try {
+      return await callExtractionBackend(prompt, backend);
+    } catch (err) {
+      if (!backend.fallback) throw err;
+      console.warn('[ScenarioTracker] Extraction backend failed, falling back to chat model:', err.message);
+    }
+  }
   const ctx = window.SillyTavern?.getContext?.();
   if (ctx && typeof ctx.generateQuietPrompt === 'function') {
     return await ctx.generateQuietPrompt(prompt, false, true);
@@ -94,24 +177,200 @@ export async function runExtractionCall(prompt) {
   throw new Error('generateQuietPrompt not available — check SillyTavern version compatibility.');
 }
 
+// ── OpenAI-compatible chat completion ────────────────────────
+// Works with llama.cpp server, Ollama (/v1), LM Studio, vLLM, OpenRouter…
+// url may be the API base (".../v1") or the full ".../chat/completions".
+export async function callExtractionBackend(prompt, settings) {
+  const base = String(settings.url || '').trim().replace(/\/+$/, '');
+  if (!base) throw new Error('Extraction backend URL is empty');
+  const url  = /\/chat\/completions$/.test(base) ? base : `${base}/chat/completions`;
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (settings.api_key) headers.Authorization = `Bearer ${settings.api_key}`;
+  const messages = [];
+  if (settings.system_prompt) messages.push({ role: 'system', content: settings.system_prompt });
+  messages.push({ role: 'user', content: prompt });
+  const body = {
+    messages,
+    temperature: Number(settings.temperature) || 0,
+    max_tokens:  parseInt(settings.max_tokens, 10) || 1024,
+    stream:      false
+  };
+  if (settings.model) body.model = settings.model;
+
+  let res;
+  try {
+    res = await fetch(url, {
+      method: 'POST', headers, body: JSON.stringify(body),
+      signal: AbortSignal.timeout((parseInt(settings.timeout_sec, 10) || 120) * 1000)
+    });
+  } catch (err) {
+    throw new Error(err.name === 'TimeoutError' ? `Extraction backend timed out (${url})` : `Extraction backend unreachable (${url}): ${err.message}`);
+  }
+  if (!res.ok) {
+    const detail = (await res.text().catch(() => '')).slice(0, 200);
+    throw new Error(`Extraction backend HTTP ${res.status}${detail ? `: ${detail}` : ''}`);
+  }
+  const data = await res.json().catch(() => null);
+  const text = data?.choices?.[0]?.message?.content ?? data?.choices?.[0]?.text;
+  if (typeof text !== 'string') throw new Error('Extraction backend reply had no message content');
+  return text;
+}
+
+// ── Connection test ───────────────────────────────────────────
+// → { ok, ms, model, reply, jsonOk } or { ok: false, ms, error }
+export async function testExtractionBackend(settings) {
+  const started = Date.now();
+  try {
+    const reply = await callExtractionBackend('Reply with exactly this JSON and nothing else: {"ok": true}', {
+      ...settings, max_tokens: 32, timeout_sec: Math.min(parseInt(settings.timeout_sec, 10) || 30, 30)
+    });
+    const parsed = recoverJson(reply).value;
+    return { ok: true, ms: Date.now() - started, model: settings.model || '(server default)', reply, jsonOk: parsed?.ok === true };
+  } catch (err) {
+    return { ok: false, ms: Date.now() - started, error: err.message };
+  }
+}
+
 // ── Extract wst block from raw message text ──────────────────
 // Run this on RAW text BEFORE stripThinkingBlocks (which strips wst blocks).
+// A message cut off mid-block has no closing fence — take what's there.
 export function extractForgeBlock(rawText) {
   if (!rawText) return null;
-  const match = rawText.match(/```wst\s*([\s\S]*?)```/i);
+  const match = rawText.match(/```wst\s*([\s\S]*?)(?:```|$)/i);
   if (!match) return null;
-  try {
-    return JSON.parse(match[1].trim());
-  } catch (e) {
-    console.warn('[ScenarioTracker] wst block parse failed:', e.message, '| raw:', match[1].slice(0, 200));
+  const { value, error, repairs } = recoverJson(match[1]);
+  if (!value) {
+    console.warn('[ScenarioTracker] wst block parse failed:', error, '| raw:', match[1].slice(0, 200));
     return null;
   }
+  if (repairs.length) console.info('[ScenarioTracker] wst block repaired:', repairs.join(', '));
+  return value;
+}
+
+// ── Strip wst blocks from prompt text ─────────────────────────
+// Past blocks are bookkeeping, not story — dropping them from history saves
+// context. The example inside the tracker's own instructions is kept.
+// Expects one message at a time. A block ends at a fence on its own line
+// (backticks inside its JSON don't count); one with no closing fence (a
+// reply cut off mid-block) runs to the next fence or the end of the text.
+const WST_EXAMPLE_LEAD = 'Format example:';
+const WST_BLOCK_RE = /\n?```wst(?:(?!\n```)[\s\S])*?(?:\n```[ \t]*(?=\r?\n|$)|(?=\n```)|(?=\s*$))/gi;
+
+export function stripForgeBlocks(text) {
+  if (!text || typeof text !== 'string' || !/```wst/i.test(text)) return text;
+  const kept = `${WST_EXAMPLE_LEAD}\n`;
+  return text
+    .replace(WST_BLOCK_RE, (m, at, whole) =>
+      whole.slice(0, at + (m[0] === '\n' ? 1 : 0)).endsWith(kept) ? m : '')
+    .replace(/\n{3,}/g, '\n\n');
+}
+
+// ── wst block spec ────────────────────────────────────────────
+// A wst block is one JSON object in a ```wst fence at the end of a reply.
+//
+// v2+ is a superset of the extraction delta: every category
+// buildExtractionPrompt() asks for is accepted here under the same name
+// and shape, except that NPCs may be named ("Lisa") wherever a filename
+// ("npc_lisa.json") is expected. An optional "v" marks the version;
+// blocks without it are read the same way.
+//   v3 (current) — adds the patch category and $op values (see patch.js)
+//   v2           — every delta category, learned facts as npc_learned
+//
+// Shorthands, kept for older prompts and hand-written presets:
+//   npc_updates: [{ name, relationship, emotional_state, physical_state,
+//                   learned, status, appearance, alias, aliases, knowledge }]  (v1)
+//   npc_state_change: { name, change } or a list of them              (v0)
+//   arc_event: "what happened" | { id, status }                        (v1)
+//   location: "Place"  — same as location_change.pc                   (v1)
+//   world_state.in_world_date — same as in_world_date                 (v1)
+export const WST_VERSION = 3;
+
+// Category → format line for the injected instructions. Entries with via
+// are reachable through that shorthand and left out of the instructions to
+// keep them short; arcs only apply when the scenario tracks arc events.
+export const WST_SPEC = {
+  npc_updates:          { format: '[{ "name": "NPC name", "relationship": "to the PC, if it shifted", "emotional_state": "", "physical_state": "", "learned": ["facts they found out"] }]' },
+  npc_relationship:     { format: '{ "NPC name": "relationship to the PC" }', via: 'npc_updates' },
+  npc_current_state:    { format: '{ "NPC name": { "emotional_state": "", "physical_state": "" } }', via: 'npc_updates' },
+  npc_learned:          { format: '{ "NPC name": ["fact they now know"] }', via: 'npc_updates' },
+  npc_knowledge:        { format: '{ "NPC name": { "knowledge.visibility_gates.secret_id": true } } — tracked knowledge flags only' },
+  npc_status:           { format: '{ "NPC name": { "status": "absent" | "dead" | "active", "note": "how or why" } } — deaths, departures, returns only' },
+  npc_appearance:       { format: '{ "NPC name": { "hair": "", "eyes": "", "height": "", "build": "", "face": "", "clothing_style": "", "distinguishing_marks": "" } } — only details actually described' },
+  npc_aliases:          { format: '{ "NPC name": { "alias": "primary name", "aliases": ["all known names"] } }' },
+  npc_npc_relationship: { format: '[{ "a": "NPC name", "b": "NPC name", "a_to_b": "", "b_to_a": "" }]' },
+  new_npcs:             { format: '[{ "display_name": "", "alias": "", "faction": "", "appearance": { "hair": "" } }] — named characters not in the known list' },
+  arc_events:           { format: '{ "event_id": "fired-canon" | "fired-altered" | "skipped" }', arcs: true },
+  location_change:      { format: '{ "pc": "Place", "npcs": { "NPC name": "Place" } }' },
+  item_gained:          { format: '[{ "name": "", "owner": "pc" | "NPC name", "description": "", "quantity": 1 }]' },
+  item_lost:            { format: '[{ "name": "", "status": "lost" | "consumed" | "destroyed" | "stored", "location": "" }]' },
+  item_transferred:     { format: '[{ "name": "", "from": "pc" | "NPC name", "to": "pc" | "NPC name" }]' },
+  faction_standing:     { format: '{ "Faction": { "pc": "new standing" } }' },
+  quest_new:            { format: '[{ "name": "", "giver": "NPC name", "description": "", "steps": [""], "deadline": null, "rewards": "" }]' },
+  quest_progress:       { format: '[{ "quest": "quest name", "step": "step text or number" }]' },
+  quest_status:         { format: '{ "quest name": "active" | "completed" | "failed" }' },
+  world_state:          { format: '{ "field": "new value" } — setting-level changes' },
+  in_world_date:        { format: '"new date/time" — only if time passed' },
+  divergence_delta:     { format: '0 — number of events that changed the expected story' },
+  patch:                { format: '[{ "file": "world_state.json" | "faction_x.json" | "NPC name", "path": "field.sub", "$append": ["…"] }] — ops: $set, $append, $remove, $increment, $merge' }
+};
+
+// ── wst format instructions ───────────────────────────────────
+// Injected for the roleplay model so it writes the block itself and the
+// extraction call can be skipped. Only lists what this scenario tracks.
+const MAX_WST_NAMES = 40;
+const MAX_WST_ARCS  = 20;
+
+export function buildForgeInstructions(gistFiles = {}) {
+  const npcs = Object.entries(gistFiles)
+    .filter(([k, v]) => k.startsWith('npc_') && v?.display_name && (v.status || 'active') !== 'archived')
+    .map(([, v]) => v.display_name);
+  const arcKey = `arc_${gistFiles['world_state.json']?.arc || '1'}`;
+  const arcIds = Object.keys(gistFiles['arc_events.json']?.[arcKey] || {});
+
+  const keys = [
+    ...Object.entries(WST_SPEC)
+      .filter(([, spec]) => !spec.via && (!spec.arcs || arcIds.length))
+      .map(([name, spec]) => `${name}: ${spec.format}`),
+    ...getCustomCategories().map(cat =>
+      `${cat.name}: ${customValueFormat(cat).replace(/npc_filename\.json/g, 'NPC name')} — ${cat.instruction || cat.label || cat.name.replace(/_/g, ' ')}`)
+  ];
+
+  const names = npcs.length > MAX_WST_NAMES ? [...npcs.slice(0, MAX_WST_NAMES), '…'] : npcs;
+  const arcs  = arcIds.length > MAX_WST_ARCS ? [...arcIds.slice(0, MAX_WST_ARCS), '…'] : arcIds;
+  const who   = npcs[0] || 'Mara';
+  return `[State tracker] End every reply with a fenced code block tagged wst listing what changed during that reply. It is read by software and hidden from the reader — never refer to it in the prose.
+Include only keys that changed; if nothing did, write {"v": ${WST_VERSION}}. Use plain names as written in the story.
+Keys:
+${keys.map(k => `  ${k}`).join('\n')}
+${names.length ? `Known NPCs: ${names.join(', ')}` : 'No NPCs are tracked yet — list named characters under new_npcs.'}${arcs.length ? `\nArc event ids: ${arcs.join(', ')}` : ''}
+${WST_EXAMPLE_LEAD}
+\`\`\`wst
+{"v": ${WST_VERSION}, "npc_updates": [{"name": "${who}", "emotional_state": "uneasy", "learned": ["the PC lied about the letter"]}], "location_change": {"pc": "the harbour"}}
+\`\`\``;
 }
 
 // ── Normalise a wst block → internal delta format ────────────
+// See WST_SPEC. v2 categories pass through under their own names, with
+// NPC names mapped to filenames where they resolve (the validator gets
+// the rest); the v1/v0 shorthands are folded into the same categories.
 export function normalizeForgeBlock(forgeObj, gistFiles = {}) {
   if (!forgeObj || typeof forgeObj !== 'object') return null;
-  const delta = {};
+  if (Number(forgeObj.v) > WST_VERSION) {
+    console.warn(`[ScenarioTracker] wst block is v${forgeObj.v}, newer than v${WST_VERSION} — reading the categories it knows`);
+  }
+  const delta  = {};
+  const npcKey = who => gistFiles[who] ? who : (resolveNpcFilename(who, gistFiles) || who);
+  const isObj  = v => !!v && typeof v === 'object' && !Array.isArray(v);
+  const asList = v => Array.isArray(v) ? v : (v ? [v] : []);
+  // Add one NPC's value to a category — objects merge, lists concatenate
+  const put = (cat, file, value) => {
+    const map = delta[cat] = delta[cat] || {};
+    const old = map[file];
+    map[file] = isObj(old) && isObj(value) ? { ...old, ...value }
+      : Array.isArray(old) ? [...old, ...asList(value)]
+      : value;
+  };
 
   if (forgeObj.divergence_delta > 0) {
     delta.divergence_delta = Number(forgeObj.divergence_delta) || 0;
@@ -120,94 +379,401 @@ export function normalizeForgeBlock(forgeObj, gistFiles = {}) {
   const newDate = forgeObj.in_world_date ?? forgeObj.world_state?.in_world_date ?? null;
   if (newDate && typeof newDate === 'string') delta.in_world_date = newDate;
 
-  if (forgeObj.world_state && typeof forgeObj.world_state === 'object') {
+  if (isObj(forgeObj.world_state)) {
     const ws = { ...forgeObj.world_state };
     delete ws.in_world_date;
     if (Object.keys(ws).length) delta.world_state = ws;
   }
 
-  if (forgeObj.arc_event && forgeObj.arc_event !== 'null') {
-    const eventKey = typeof forgeObj.arc_event === 'string'
-      ? forgeObj.arc_event.toLowerCase().replace(/[^a-z0-9]+/g, '_').slice(0, 40)
-      : 'event_' + Date.now();
-    delta.arc_events = { [eventKey]: 'fired-canon' };
+  // Patch ops on any file; the validator resolves NPC names in "file"
+  const patches = asList(forgeObj.patch).filter(isObj);
+  if (patches.length) delta.patch = patches;
+
+  // Arc events: v2 map, plus the v1 single-event shorthand — a string
+  // (fired as written) or { id, status }
+  if (isObj(forgeObj.arc_events)) delta.arc_events = { ...forgeObj.arc_events };
+  const arc = forgeObj.arc_event;
+  if (arc && arc !== 'null') {
+    const label  = typeof arc === 'string' ? arc : String(arc.id || arc.event || '');
+    const status = (isObj(arc) && arc.status) || 'fired-canon';
+    const key    = label ? label.toLowerCase().replace(/[^a-z0-9]+/g, '_').slice(0, 40) : 'event_' + Date.now();
+    delta.arc_events = { ...(delta.arc_events || {}), [key]: status };
   }
 
-  // Handle npc_updates array (primary format) + legacy npc_state_change
-  const updates = [];
-  if (Array.isArray(forgeObj.npc_updates)) updates.push(...forgeObj.npc_updates);
-  const legacyChanges = Array.isArray(forgeObj.npc_state_change)
-    ? forgeObj.npc_state_change
-    : (forgeObj.npc_state_change ? [forgeObj.npc_state_change] : []);
-  for (const lc of legacyChanges) {
-    if (lc?.name) updates.push({ name: lc.name, emotional_state: lc.change || lc.state || '' });
+  // Per-NPC categories under their own names (v2)
+  for (const cat of ['npc_knowledge', 'npc_relationship', 'npc_current_state', 'npc_learned', 'npc_appearance', 'npc_aliases']) {
+    if (!isObj(forgeObj[cat])) continue;
+    for (const [who, value] of Object.entries(forgeObj[cat])) {
+      put(cat, npcKey(who), cat === 'npc_learned' ? asList(value) : value);
+    }
   }
 
-  for (const upd of updates) {
-    if (!upd?.name) continue;
-    const filename = resolveNpcFilename(upd.name, gistFiles);
-    if (!filename) continue;
-
-    if (upd.relationship) {
-      delta.npc_relationship = delta.npc_relationship || {};
-      delta.npc_relationship[filename] = upd.relationship;
+  // npc_status: { "Name or npc_file.json": "dead" | { status, note } }
+  if (isObj(forgeObj.npc_status)) {
+    for (const [who, val] of Object.entries(forgeObj.npc_status)) {
+      const status = typeof val === 'string' ? val : val?.status;
+      if (status) put('npc_status', npcKey(who), { status: String(status).toLowerCase(), note: val?.note || '' });
     }
+  }
+
+  // npc_updates (v1) + npc_state_change (v0) — one entry per NPC
+  const updates = [...asList(forgeObj.npc_updates)];
+  for (const lc of asList(forgeObj.npc_state_change)) {
+    if (lc?.name) updates.push({ name: lc.name, emotional_state: lc.change || lc.state || '' });
+  }
+  for (const upd of updates) {
+    if (!upd?.name || typeof upd.name !== 'string') continue;
+    const file = npcKey(upd.name);
+    if (upd.relationship) put('npc_relationship', file, upd.relationship);
     if (upd.emotional_state || upd.physical_state) {
-      delta.npc_current_state = delta.npc_current_state || {};
-      delta.npc_current_state[filename] = delta.npc_current_state[filename] || {};
-      if (upd.emotional_state) delta.npc_current_state[filename].emotional_state = upd.emotional_state;
-      if (upd.physical_state)  delta.npc_current_state[filename].physical_state  = upd.physical_state;
+      put('npc_current_state', file, {
+        ...(upd.emotional_state ? { emotional_state: upd.emotional_state } : {}),
+        ...(upd.physical_state  ? { physical_state:  upd.physical_state }  : {})
+      });
     }
-    if (upd.learned) {
-      delta.npc_knowledge = delta.npc_knowledge || {};
-      delta.npc_knowledge[filename] = delta.npc_knowledge[filename] || {};
-      delta.npc_knowledge[filename]['learned_' + Date.now()] = upd.learned;
+    if (upd.learned)                put('npc_learned', file, asList(upd.learned));
+    if (isObj(upd.knowledge))       put('npc_knowledge', file, upd.knowledge);
+    if (isObj(upd.appearance))      put('npc_appearance', file, upd.appearance);
+    if (upd.alias || Array.isArray(upd.aliases)) {
+      put('npc_aliases', file, { ...(upd.alias ? { alias: upd.alias } : {}), ...(Array.isArray(upd.aliases) ? { aliases: upd.aliases } : {}) });
     }
+    if (upd.status) put('npc_status', file, { status: String(upd.status).toLowerCase(), note: upd.status_note || upd.note || '' });
+  }
+
+  const newNpcs = asList(forgeObj.new_npcs).filter(n => n?.display_name);
+  if (newNpcs.length) delta.new_npcs = newNpcs;
+
+  // Quests — givers may be display names in wst blocks
+  if (Array.isArray(forgeObj.quest_new) && forgeObj.quest_new.length) {
+    delta.quest_new = forgeObj.quest_new.filter(q => q?.name).map(q => ({
+      ...q, ...(q.giver ? { giver: npcKey(q.giver) } : {})
+    }));
+  }
+  if (Array.isArray(forgeObj.quest_progress) && forgeObj.quest_progress.length) delta.quest_progress = forgeObj.quest_progress;
+  if (isObj(forgeObj.quest_status)) delta.quest_status = forgeObj.quest_status;
+
+  // NPC↔NPC pairs — either side may be a display name in wst blocks
+  for (const pair of asList(forgeObj.npc_npc_relationship)) {
+    if (!pair || (!pair.a_to_b && !pair.b_to_a)) continue;
+    const a = npcKey(pair.a);
+    const b = npcKey(pair.b);
+    if (a && a === b) continue;
+    delta.npc_npc_relationship = delta.npc_npc_relationship || [];
+    delta.npc_npc_relationship.push({ a, b, a_to_b: pair.a_to_b || '', b_to_a: pair.b_to_a || '' });
   }
 
-  if (forgeObj.npc_knowledge) {
-    delta.npc_knowledge = delta.npc_knowledge || {};
-    Object.assign(delta.npc_knowledge, forgeObj.npc_knowledge);
+  // Faction keys may be names here — resolved against faction files at queue time
+  if (isObj(forgeObj.faction_standing)) {
+    delta.faction_standing = forgeObj.faction_standing;
   }
-  if (forgeObj.npc_relationship) {
-    delta.npc_relationship = delta.npc_relationship || {};
-    Object.assign(delta.npc_relationship, forgeObj.npc_relationship);
+
+  // Items — owners may be given as names in wst blocks; resolve them to filenames
+  for (const cat of ['item_gained', 'item_lost', 'item_transferred']) {
+    const out = asList(forgeObj[cat]).filter(it => it?.name).map(it => {
+      const copy = { ...it };
+      for (const k of ['owner', 'from', 'to']) if (copy[k]) copy[k] = resolveItemOwner(copy[k], gistFiles);
+      return copy;
+    });
+    if (out.length) delta[cat] = out;
+  }
+
+  // location_change: { pc: "Place", npcs: { "Name or npc_file.json": "Place" } }
+  // Shorthand: top-level "location": "Place" means the PC moved.
+  const loc = forgeObj.location_change;
+  const pcLoc = (isObj(loc) ? loc.pc : null) ?? forgeObj.location ?? null;
+  if (pcLoc && typeof pcLoc === 'string') {
+    delta.location_change = { pc: pcLoc };
+  }
+  if (isObj(loc?.npcs)) {
+    for (const [who, place] of Object.entries(loc.npcs)) {
+      if (!place) continue;
+      delta.location_change = delta.location_change || {};
+      delta.location_change.npcs = delta.location_change.npcs || {};
+      delta.location_change.npcs[npcKey(who)] = place;
+    }
+  }
+
+  // Custom categories pass through; per-NPC keys may be names in wst blocks
+  for (const cat of getCustomCategories()) {
+    const val = forgeObj[cat.name];
+    if (val == null) continue;
+    if (cat.target !== 'npc' || !isObj(val)) { delta[cat.name] = val; continue; }
+    const byFile = {};
+    for (const [who, v] of Object.entries(val)) byFile[npcKey(who)] = v;
+    delta[cat.name] = byFile;
   }
-  if (Array.isArray(forgeObj.new_npcs)) delta.new_npcs = forgeObj.new_npcs;
 
   return delta;
 }
 
 // ── Resolve NPC name → Gist filename ─────────────────────────
+// Scored (see fuzzyResolveFile). Null unless one NPC matches confidently —
+// callers then pass the raw name on, and the validator either rejects it
+// or holds it for the user to disambiguate.
 function resolveNpcFilename(name, gistFiles) {
   if (!name || typeof name !== 'string') return null;
-  const n = name.toLowerCase().trim();
-  const exactKey = 'npc_' + n.replace(/\s+/g, '_') + '.json';
-  if (gistFiles[exactKey]) return exactKey;
-  for (const [filename, file] of Object.entries(gistFiles)) {
-    if (!filename.startsWith('npc_')) continue;
-    if (!file || typeof file !== 'object') continue;
-    const candidates = [
-      file.display_name, file.alias,
-      ...(Array.isArray(file.aliases) ? file.aliases : [])
-    ].filter(Boolean).map(s => s.toLowerCase());
-    if (candidates.some(c => c.includes(n) || n.includes(c))) return filename;
-  }
-  return null;
-}
-
-// ── Parse the delta response ──────────────────────────────────
-export function parseDelta(rawText) {
-  if (!rawText || typeof rawText !== 'string') return null;
-  try {
-    const cleaned = rawText.replace(/```json/gi, '').replace(/```/g, '').trim();
-    const parsed = JSON.parse(cleaned);
-    if (typeof parsed !== 'object' || Array.isArray(parsed)) return null;
-    return parsed;
-  } catch {
-    console.warn('[ScenarioTracker] Delta parse failed on:', rawText.slice(0, 200));
-    return null;
+  const entries = Object.entries(gistFiles).filter(([k, v]) => k.startsWith('npc_') && v && typeof v === 'object');
+  return fuzzyResolveFile(name.trim(), entries, 'npc')?.file || null;
+}
+
+// ── Resolve an item owner → 'pc' | npc filename | raw text ───
+export function resolveItemOwner(who, gistFiles) {
+  if (typeof who !== 'string') return '';
+  if (/^(pc|player|user|you|me)$/i.test(who.trim())) return 'pc';
+  if (gistFiles[who]) return who;
+  return resolveNpcFilename(who, gistFiles) || who;
+}
+
+// ── Self-correcting retry prompt ──────────────────────────────
+// Quiet prompts carry no history, so the original request goes back
+// along with the broken reply and the parser's complaint.
+export function buildRetryPrompt(originalPrompt, badReply, error) {
+  return `${originalPrompt}
+
+YOUR PREVIOUS REPLY:
+${String(badReply ?? '').slice(0, 3000)}
+
+That reply could not be parsed as JSON (${error}). Reply again with the same content as one valid JSON object — double-quoted keys and strings, no trailing commas, no comments, nothing before or after the object.`;
+}
+
+// ── Tolerant JSON recovery ────────────────────────────────────
+// Finds the first balanced object in model output and rebuilds it token
+// by token, fixing what models commonly get wrong: prose or fences around
+// it, single/smart quotes, unquoted keys and values, comments, trailing or
+// missing commas, Python literals, raw newlines in strings, and output cut
+// off mid-object (incomplete members are dropped, open brackets closed).
+// Prose may hold braces of its own ("Sure {maybe}"), so each top-level
+// object is a candidate: the first non-empty one with a quoted first key
+// wins, else the first non-empty one.
+// Returns { value, error, repairs } — value is null when nothing usable.
+const MAX_JSON_CANDIDATES = 8;
+
+export function recoverJson(text) {
+  if (!text || typeof text !== 'string') return { value: null, error: 'empty reply', repairs: [] };
+
+  // Fast path: already valid
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{')) {
+    try {
+      const v = JSON.parse(trimmed);
+      if (v && typeof v === 'object' && !Array.isArray(v)) return { value: v, error: null, repairs: [] };
+    } catch { /* fall through to repair */ }
+  }
+
+  const starts = objectStarts(text).slice(0, MAX_JSON_CANDIDATES);
+  if (!starts.length) return { value: null, error: 'no JSON object found', repairs: [] };
+
+  let fallback = null, error = null;
+  for (const start of starts) {
+    const repairs = new Set();
+    if (text.slice(0, start).trim()) repairs.add('leading text');
+    let v;
+    try {
+      v = JSON.parse(rebuildJson(tokenizeJson(text.slice(start), repairs), repairs));
+    } catch (err) {
+      error = error || err.message;
+      continue;
+    }
+    if (!v || typeof v !== 'object' || Array.isArray(v)) { error = error || 'top level is not an object'; continue; }
+    const found = { value: v, error: null, repairs: [...repairs] };
+    if (Object.keys(v).length && /^\{\s*["'\u201c\u2018]/.test(text.slice(start))) return found;
+    if (!fallback || (!Object.keys(fallback.value).length && Object.keys(v).length)) fallback = found;
+  }
+  return fallback || { value: null, error, repairs: [] };
+}
+
+// Offsets of every '{' that opens a top-level object (braces inside
+// double-quoted strings don't count)
+function objectStarts(text) {
+  const starts = [];
+  let depth = 0, inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (inString) {
+      if (c === '\\') i++;
+      else if (c === '"') inString = false;
+      continue;
+    }
+    if (c === '"' && depth) inString = true;
+    else if (c === '{') { if (!depth++) starts.push(i); }
+    else if (c === '}' && depth) depth--;
+  }
+  return starts;
+}
+
+const STRING_CLOSERS = { '"': '"', "'": "'", '\u201c': '\u201d', '\u2018': '\u2019' };
+const JSON_ESCAPES   = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+
+// → [{ kind: 'punct'|'string'|'literal'|'word', text }]
+function tokenizeJson(src, repairs) {
+  const tokens = [];
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    if ('{}[]:,'.includes(ch)) { tokens.push({ kind: 'punct', text: ch }); i++; continue; }
+
+    // Comments
+    if (ch === '/' && src[i + 1] === '/') {
+      repairs.add('comments');
+      while (i < src.length && src[i] !== '\n') i++;
+      continue;
+    }
+    if (ch === '/' && src[i + 1] === '*') {
+      repairs.add('comments');
+      const end = src.indexOf('*/', i + 2);
+      i = end === -1 ? src.length : end + 2;
+      continue;
+    }
+
+    // Strings — decoded, then re-encoded by JSON.stringify
+    if (STRING_CLOSERS[ch]) {
+      const close = STRING_CLOSERS[ch];
+      if (ch !== '"') repairs.add('quotes');
+      let buf = '', j = i + 1, closed = false, apostrophe = false;
+      while (j < src.length) {
+        const c = src[j];
+        if (c === '\\' && j + 1 < src.length) {
+          const e = src[j + 1];
+          if (e === 'u' && /^[0-9a-fA-F]{4}$/.test(src.slice(j + 2, j + 6))) {
+            buf += String.fromCharCode(parseInt(src.slice(j + 2, j + 6), 16));
+            j += 6;
+          } else {
+            buf += JSON_ESCAPES[e] ?? e;
+            j += 2;
+          }
+          continue;
+        }
+        if (c === close) {
+          // 'Bob's sword' — a single-quote closer right before a letter is an apostrophe
+          if (close !== '"' && /\p{L}/u.test(src[j + 1] || '')) { apostrophe = true; buf += c; j++; continue; }
+          closed = true; j++; break;
+        }
+        if (c === '\n' || c === '\r') repairs.add('raw newlines');
+        buf += c;
+        j++;
+      }
+      if (!closed && apostrophe) throw new Error('unbalanced quotes around an apostrophe');
+      if (!closed) { repairs.add('truncated'); break; }   // half a string is no use
+      tokens.push({ kind: 'string', text: JSON.stringify(buf) });
+      i = j;
+      continue;
+    }
+
+    // Numbers, literals and bare words
+    const num = src.slice(i).match(/^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/);
+    if (num && !/[A-Za-z_]/.test(src[i + num[0].length] || '')) {
+      tokens.push({ kind: 'literal', text: String(Number(num[0])) });
+      i += num[0].length;
+      continue;
+    }
+    const word = src.slice(i).match(/^[^\s{}\[\]:,"'\u201c\u2018]+/);
+    if (word) {
+      const w = word[0];
+      const lit = { true: 'true', false: 'false', null: 'null', True: 'true', False: 'false', None: 'null',
+        undefined: 'null', NaN: 'null' }[w];
+      if (lit) {
+        if (lit !== w) repairs.add('non-JSON literals');
+        tokens.push({ kind: 'literal', text: lit });
+      } else {
+        tokens.push({ kind: 'word', text: w });
+      }
+      i += w.length;
+      continue;
+    }
+    i++;
+  }
+  return tokens;
+}
+
+// Re-emit tokens as strict JSON. Each open container remembers the output
+// length after its last complete member, so anything dangling (a key with
+// no value, a trailing comma) can be cut back to it.
+function rebuildJson(tokens, repairs) {
+  const out   = [];
+  const stack = [];
+  let done    = false;
+
+  const top = () => stack[stack.length - 1];
+  const valueDone = () => {
+    const f = top();
+    if (!f) { done = true; return; }
+    f.state = 'comma';
+    f.safe  = out.length;
+  };
+  const closeTop = () => {
+    const f = top();
+    if (f.state !== 'comma' && out.length > f.safe) out.length = f.safe;
+    out.push(f.type === '{' ? '}' : ']');
+    stack.pop();
+    valueDone();
+  };
+
+  for (let t = 0; t < tokens.length && !done; t++) {
+    const tok = tokens[t];
+    const f   = top();
+    const p   = tok.kind === 'punct' ? tok.text : null;
+
+    if (!f) {   // before the root opens
+      if (p === '{') { out.push('{'); stack.push({ type: '{', state: 'key', safe: 1 }); }
+      continue;
+    }
+
+    if (p === '}' || p === ']') {
+      const want = p === '}' ? '{' : '[';
+      if (!stack.some(fr => fr.type === want)) { repairs.add('stray brackets'); continue; }
+      if (f.type !== want) repairs.add('mismatched brackets');
+      if (f.state === 'key' && out[out.length - 1] === ',') repairs.add('trailing commas');
+      while (top().type !== want) closeTop();
+      closeTop();
+      continue;
+    }
+    if (p === ',') {
+      if (f.state === 'comma') { out.push(','); f.state = f.type === '{' ? 'key' : 'value'; }
+      continue;
+    }
+    if (p === ':') {
+      if (f.state === 'colon') { out.push(':'); f.state = 'value'; }
+      continue;
+    }
+
+    // A value or key is starting
+    if (f.state === 'comma') {
+      repairs.add('missing commas');
+      out.push(',');
+      f.state = f.type === '{' ? 'key' : 'value';
+    }
+    if (f.type === '{' && f.state === 'key') {
+      if (p) { repairs.add('malformed object'); continue; }
+      if (tok.kind !== 'string') repairs.add('unquoted keys');
+      out.push(tok.kind === 'string' ? tok.text : JSON.stringify(tok.text));
+      f.state = 'colon';
+      continue;
+    }
+    if (f.state === 'colon') { repairs.add('missing colons'); out.push(':'); f.state = 'value'; }
+
+    if (p === '{' || p === '[') {
+      out.push(p);
+      stack.push({ type: p, state: p === '{' ? 'key' : 'value', safe: out.length });
+      continue;
+    }
+    if (tok.kind === 'word') {
+      // Unquoted text value — soak up following words ("fired canon")
+      let words = tok.text;
+      while (tokens[t + 1]?.kind === 'word') words += ' ' + tokens[++t].text;
+      repairs.add('unquoted values');
+      out.push(JSON.stringify(words));
+    } else {
+      out.push(tok.text);
+    }
+    valueDone();
+  }
+
+  if (stack.length) {
+    repairs.add('truncated');
+    while (stack.length) closeTop();
   }
+  return out.join('');
 }
 
 // ── Check if delta has any actual content ─────────────────────
@@ -0,0 +1,212 @@
+// ============================================================
+// patch.js — Patch operations for Scenario State Tracker deltas
+// ============================================================
+//
+// Anywhere a delta sets a value by path (world_state, npc_knowledge, the
+// patch category) the value may instead be an op object:
+//
+//   { "$set": v }           replace (same as a plain value)
+//   { "$append": v | [v] }  add to a list, skipping entries already there
+//   { "$remove": v | [v] }  drop list entries (matched by text, fact or name),
+//                           or keys from an object
+//   { "$increment": n }     add a signed number (missing counts as 0)
+//   { "$merge": {…} }       shallow-merge into an object
+//
+// Several ops in one object run in the order above. Nothing is written
+// until every op in a change has applied — patchFile() works on a copy.
+
+export const PATCH_OPS = ['$set', '$append', '$remove', '$increment', '$merge'];
+
+// An op object: a plain object whose keys all start with '$'
+export function isPatchOp(v) {
+  return isPlainObject(v) && Object.keys(v).length > 0 && Object.keys(v).every(k => k.startsWith('$'));
+}
+
+// Why an op object is malformed, or null. Plain values are fine unless
+// an op is required.
+export function patchOpError(v, required = false) {
+  if (!isPatchOp(v)) {
+    if (isPlainObject(v) && Object.keys(v).some(k => k.startsWith('$'))) return 'mixes $ops with plain fields';
+    return required ? `expected an op (${PATCH_OPS.join(', ')})` : null;
+  }
+  for (const [name, arg] of Object.entries(v)) {
+    if (!PATCH_OPS.includes(name)) return `unknown op ${name}`;
+    if (name === '$increment' && !Number.isFinite(Number(arg))) return '$increment needs a number';
+    if (name === '$merge' && !isPlainObject(arg)) return '$merge needs an object';
+    if ((name === '$append' || name === '$remove') && arg == null) return `${name} needs a value`;
+  }
+  return null;
+}
+
+// Why a dotted path can't be patched, or null. Segments that reach an
+// object's prototype are refused — the path comes from model output.
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+export function patchPathError(path) {
+  if (typeof path !== 'string' || !path.trim()) return 'missing path';
+  return path.split('.').some(k => UNSAFE_KEYS.includes(k)) ? 'path reaches an object prototype' : null;
+}
+
+// New value for one path. Plain values replace; ops throw on a type
+// mismatch (appending to a string, incrementing text, …).
+export function applyOp(current, op) {
+  if (!isPatchOp(op)) return clone(op);
+  let v = current;
+  for (const name of PATCH_OPS) {
+    if (!(name in op)) continue;
+    const arg = op[name];
+    switch (name) {
+      case '$set':
+        v = clone(arg);
+        break;
+      case '$append': {
+        const list = listOf(v, name);
+        for (const x of toList(arg)) if (!list.some(y => same(y, x))) list.push(clone(x));
+        v = list;
+        break;
+      }
+      case '$remove':
+        if (isPlainObject(v)) {
+          v = { ...v };
+          for (const k of toList(arg)) delete v[k];
+        } else {
+          v = listOf(v, name).filter(y => !toList(arg).some(x => matches(y, x)));
+        }
+        break;
+      case '$increment': {
+        const n = v == null || v === '' ? 0 : Number(v);
+        if (!Number.isFinite(n)) throw new Error(`can't increment ${describe(v)}`);
+        v = n + Number(arg);
+        break;
+      }
+      case '$merge':
+        if (v != null && !isPlainObject(v)) throw new Error(`can't merge into ${describe(v)}`);
+        v = { ...(v || {}), ...clone(arg) };
+        break;
+    }
+  }
+  return v;
+}
+
+// Apply [[path, valueOrOp], …] to a copy of file → the patched copy.
+// Throws (leaving file untouched) if any change fails.
+export function patchFile(file, changes) {
+  const out = clone(file) || {};
+  for (const [path, op] of changes) {
+    try {
+      setPath(out, path, applyOp(getPath(out, path), op));
+    } catch (err) {
+      throw new Error(`${path}: ${err.message}`);
+    }
+  }
+  return out;
+}
+
+// Readable diff lines for one change: [{ kind: '+' | '-' | '~', text }]
+export function diffOp(current, op) {
+  if (!isPatchOp(op)) {
+    return current == null ? [{ kind: '+', text: describe(op) }] : [{ kind: '~', text: `${describe(current)} → ${describe(op)}` }];
+  }
+  const lines = [];
+  let v = current;
+  for (const name of PATCH_OPS) {
+    if (!(name in op)) continue;
+    const arg  = op[name];
+    const next = applyOp(v, { [name]: arg });
+    switch (name) {
+      case '$set':
+        lines.push(v == null ? { kind: '+', text: describe(arg) } : { kind: '~', text: `${describe(v)} → ${describe(arg)}` });
+        break;
+      case '$append':
+        for (const x of toList(arg)) {
+          if (!toList(v).some(y => same(y, x))) lines.push({ kind: '+', text: describe(x) });
+        }
+        break;
+      case '$remove':
+        for (const x of toList(arg)) {
+          if (isPlainObject(v)) {
+            lines.push({ kind: '-', text: x in v ? `${x}: ${describe(v[x])}` : `${x} (not present)` });
+            continue;
+          }
+          const hit = toList(v).find(y => matches(y, x));
+          lines.push({ kind: '-', text: hit !== undefined ? describe(labelOf(hit) ?? hit) : `${describe(x)} (not present)` });
+        }
+        break;
+      case '$increment': {
+        const n = Number(arg);
+        lines.push({ kind: '~', text: `${describe(v ?? 0)} → ${describe(next)} (${n >= 0 ? '+' : ''}${n})` });
+        break;
+      }
+      case '$merge':
+        for (const [k, x] of Object.entries(arg)) {
+          if (!isPlainObject(v) || !(k in v)) lines.push({ kind: '+', text: `${k}: ${describe(x)}` });
+          else if (!same(v[k], x))            lines.push({ kind: '~', text: `${k}: ${describe(v[k])} → ${describe(x)}` });
+        }
+        break;
+    }
+    v = next;
+  }
+  return lines;
+}
+
+// ── Helpers ───────────────────────────────────────────────────
+function getPath(obj, path) {
+  return path.split('.').reduce((acc, k) => acc?.[k], obj);
+}
+
+function setPath(obj, path, value) {
+  const err = patchPathError(path);
+  if (err) throw new Error(err);
+  const keys = path.split('.');
+  let cur = obj;
+  for (let i = 0; i < keys.length - 1; i++) {
+    if (!cur[keys[i]] || typeof cur[keys[i]] !== 'object') cur[keys[i]] = {};
+    cur = cur[keys[i]];
+  }
+  cur[keys[keys.length - 1]] = value;
+}
+
+function listOf(v, op) {
+  if (v == null) return [];
+  if (Array.isArray(v)) return [...v];
+  throw new Error(`${op} needs a list, found ${describe(v)}`);
+}
+
+function toList(v) {
+  return v == null ? [] : Array.isArray(v) ? v : [v];
+}
+
+// Text identity of a list entry — strings as-is, records by fact/name/text
+function labelOf(v) {
+  if (typeof v === 'string') return v;
+  if (isPlainObject(v)) return v.fact ?? v.name ?? v.display_name ?? v.text ?? null;
+  return null;
+}
+
+function norm(s) {
+  return String(s).trim().toLowerCase();
+}
+
+function same(a, b) {
+  if (typeof a === 'string' && typeof b === 'string') return norm(a) === norm(b);
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function matches(entry, target) {
+  if (same(entry, target)) return true;
+  const label = labelOf(entry);
+  return label != null && typeof target === 'string' && norm(label) === norm(target);
+}
+
+function describe(v) {
+  const s = typeof v === 'string' ? `"${v}"` : JSON.stringify(v);
+  return s && s.length > 60 ? s.slice(0, 60) + '…' : String(s);
+}
+
+function clone(v) {
+  return v === undefined ? undefined : JSON.parse(JSON.stringify(v));
+}
+
+function isPlainObject(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v);
+}
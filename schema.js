@@ -0,0 +1,317 @@
+// ============================================================
+// schema.js — Delta validation for Scenario State Tracker
+// ============================================================
+//
+// Every extraction category has a declared shape. validateDelta() walks
+// a delta against it, coerces harmless slips (a number where a string was
+// wanted, a lone object where a list was wanted), fuzzy-resolves NPC
+// filenames, and strips out anything it can't fix — each with a reason,
+// so the panel can show what was rejected instead of dropping it quietly.
+//
+// Shape vocabulary:
+//   'string' | 'number' | 'integer' | 'boolean' | 'any' | 'npcFile'
+//   'trackedFile'              any tracked file; bare names resolve as NPCs
+//   'value'                    anything, but a patch op must be well-formed
+//                              and its path can't reach a prototype
+//   'patchEntry'               { file, path, ...op } (see patch.js)
+//   { enum: [...] }            one of the listed strings (case-insensitive)
+//   { list: T }                array of T (a single T is wrapped)
+//   { map: T }                 object with free-form keys, values T
+//   { npcMap: T }              object keyed by NPC filename, values T
+//   { fields: {k: T}, required: [k] }  object with known keys
+//   { nullable: T }            T or null
+
+import { patchOpError, patchPathError } from './patch.js';
+
+const STR  = 'string';
+const NPC  = 'npcFile';
+const strs = { list: STR };
+
+export const DELTA_SCHEMA = {
+  npc_knowledge:        { npcMap: { map: 'value' } },
+  npc_learned:          { npcMap: strs },
+  npc_relationship:     { npcMap: STR },
+  npc_npc_relationship: { list: { fields: { a: NPC, b: NPC, a_to_b: STR, b_to_a: STR }, required: ['a', 'b'] } },
+  npc_current_state:    { npcMap: { map: STR } },
+  npc_status:           { npcMap: { fields: { status: { enum: ['active', 'absent', 'dead', 'archived'] }, note: STR }, required: ['status'] } },
+  npc_appearance:       { npcMap: { map: STR } },
+  npc_aliases:          { npcMap: { fields: { alias: STR, aliases: strs } } },
+  arc_events:           { map: { enum: ['fired-canon', 'fired-altered', 'skipped'] } },
+  new_npcs:             { list: { fields: { display_name: STR, alias: STR, aliases: strs, faction: STR, first_appeared: STR, appearance: { map: STR } }, required: ['display_name'] } },
+  location_change:      { fields: { pc: STR, npcs: { npcMap: STR } } },
+  item_gained:          { list: { fields: { name: STR, owner: STR, description: STR, quantity: 'integer' }, required: ['name'] } },
+  item_lost:            { list: { fields: { name: STR, status: { enum: ['lost', 'consumed', 'destroyed', 'stored'] }, location: STR }, required: ['name'] } },
+  item_transferred:     { list: { fields: { name: STR, from: STR, to: STR }, required: ['name', 'to'] } },
+  faction_standing:     { map: { map: STR } },
+  quest_new:            { list: { fields: { name: STR, giver: NPC, description: STR, steps: strs, deadline: { nullable: STR }, rewards: STR }, required: ['name'] } },
+  quest_progress:       { list: { fields: { quest: STR, step: 'any' }, required: ['quest', 'step'] } },
+  quest_status:         { map: { enum: ['open', 'active', 'completed', 'failed'] } },
+  world_state:          { map: 'value' },
+  patch:                { list: 'patchEntry' },
+  divergence_delta:     'integer',
+  in_world_date:        { nullable: STR }
+};
+
+// Shape for a user-defined category (see getCustomCategories in gist.js)
+export function customCategorySchema(cat) {
+  const value = {
+    number: 'number',
+    text:   STR,
+    list:   strs,
+    map:    { map: cat.merge === 'increment' ? 'number' : 'any' }
+  }[cat.type] || 'any';
+  return cat.target === 'npc' ? { npcMap: value } : value;
+}
+
+// ── Public entry point ────────────────────────────────────────
+// ctx: { resolveNpc(key) → { file, how } | null, resolveFile(key) → same (optional) }
+// Returns { delta, rejected: [{ category, path, reason, value }], resolved: [{ from, to, how }],
+//           ambiguous: [{ category, key, candidates, build(file) → delta fragment }] }
+// Ambiguous NPC keys are held out of delta; build() re-creates the held
+// part for whichever file the user picks, to be validated again.
+export function validateDelta(delta, ctx, schema = DELTA_SCHEMA) {
+  const out       = {};
+  const rejected  = [];
+  const resolved  = [];
+  const ambiguous = [];
+  if (!delta || typeof delta !== 'object' || Array.isArray(delta)) {
+    return { delta: out, rejected: [{ category: '(delta)', path: '', reason: 'not an object', value: delta }], resolved, ambiguous };
+  }
+  const state = { ctx, rejected, resolved, ambiguous, category: '' };
+  for (const [category, value] of Object.entries(delta)) {
+    state.category = category;
+    if (value == null) continue;
+    const shape = schema[category];
+    if (!shape) { reject(state, '', 'unknown category', value); continue; }
+    const res = check(value, shape, '', state);
+    if (res.ok) out[category] = res.value;
+  }
+  return { delta: out, rejected, resolved, ambiguous };
+}
+
+// ── Walker ────────────────────────────────────────────────────
+// → { ok: true, value } or { ok: false } (after recording why)
+function check(value, shape, path, state) {
+  if (shape === 'any') return ok(value);
+  if (typeof shape === 'string') return checkScalar(value, shape, path, state);
+
+  if (shape.nullable) return value == null ? ok(null) : check(value, shape.nullable, path, state);
+
+  if (shape.enum) {
+    const s = typeof value === 'string' ? value.trim().toLowerCase() : null;
+    if (s && shape.enum.includes(s)) return ok(s);
+    return fail(state, path, `expected one of ${shape.enum.join(' | ')}`, value);
+  }
+
+  if (shape.list) {
+    const items = Array.isArray(value) ? value : [value];
+    const kept  = [];
+    items.forEach((item, i) => {
+      const res = check(item, shape.list, `${path}[${i}]`, state);
+      if (res.ok) kept.push(res.value);
+    });
+    return kept.length || !items.length ? ok(kept) : { ok: false };
+  }
+
+  if (shape.map || shape.npcMap) {
+    if (!isPlainObject(value)) return fail(state, path, 'expected an object', value);
+    const kept = {};
+    for (const [key, v] of Object.entries(value)) {
+      let k = key;
+      if (shape.npcMap) {
+        const hit = state.ctx?.resolveNpc?.(key);
+        if (hit?.candidates) { holdAmbiguous(state, path, key, v, hit.candidates); continue; }
+        if (!hit?.file) { reject(state, join(path, key), 'unknown NPC', v); continue; }
+        if (hit.file !== key) state.resolved.push({ from: key, to: hit.file, how: hit.how });
+        k = hit.file;
+      }
+      const res = check(v, shape.map || shape.npcMap, join(path, k), state);
+      if (!res.ok) continue;
+      kept[k] = isPlainObject(kept[k]) && isPlainObject(res.value) ? { ...kept[k], ...res.value } : res.value;
+    }
+    return Object.keys(kept).length || !Object.keys(value).length ? ok(kept) : { ok: false };
+  }
+
+  if (shape.fields) {
+    if (!isPlainObject(value)) return fail(state, path, 'expected an object', value);
+    for (const key of shape.required || []) {
+      const v = value[key];
+      if (v == null || (typeof v === 'string' && !v.trim())) return fail(state, path, `missing "${key}"`, value);
+    }
+    const kept = {};
+    for (const [key, v] of Object.entries(value)) {
+      const sub = shape.fields[key];
+      if (!sub) { kept[key] = v; continue; }   // extra keys pass through untouched
+      if (v == null) continue;
+      const res = check(v, sub, join(path, key), state);
+      if (res.ok) kept[key] = res.value;
+      else if ((shape.required || []).includes(key)) return { ok: false };
+    }
+    return ok(kept);
+  }
+
+  return ok(value);
+}
+
+function checkScalar(value, type, path, state) {
+  switch (type) {
+    case 'string':
+      if (typeof value === 'string') return ok(value);
+      if (typeof value === 'number' || typeof value === 'boolean') return ok(String(value));
+      return fail(state, path, 'expected text', value);
+    case 'number':
+    case 'integer': {
+      const n = typeof value === 'number' ? value : (typeof value === 'string' && value.trim() ? Number(value) : NaN);
+      if (!Number.isFinite(n)) return fail(state, path, 'expected a number', value);
+      return ok(type === 'integer' ? Math.round(n) : n);
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return ok(value);
+      if (value === 'true' || value === 'false') return ok(value === 'true');
+      return fail(state, path, 'expected true/false', value);
+    case 'value': {
+      const err = patchPathError(path) || patchOpError(value);
+      return err ? fail(state, path, err, value) : ok(value);
+    }
+    case 'trackedFile': {
+      const resolve = state.ctx?.resolveFile || state.ctx?.resolveNpc;
+      const hit = typeof value === 'string' ? resolve?.(value) : null;
+      if (hit?.candidates) return fail(state, path, `ambiguous (${hit.candidates.map(c => c.file).join(' / ')})`, value);
+      if (!hit?.file) return fail(state, path, 'unknown file', value);
+      if (hit.file !== value) state.resolved.push({ from: value, to: hit.file, how: hit.how });
+      return ok(hit.file);
+    }
+    case 'patchEntry': {
+      if (!isPlainObject(value)) return fail(state, path, 'expected an object', value);
+      const { file, path: field, ...op } = value;
+      if (typeof field !== 'string' || !field.trim()) return fail(state, path, 'missing "path"', value);
+      const err = patchPathError(field.trim()) || patchOpError(op, true);
+      if (err) return fail(state, join(path, field), err, value);
+      const res = checkScalar(file, 'trackedFile', join(path, 'file'), state);
+      return res.ok ? ok({ file: res.value, path: field.trim(), ...op }) : res;
+    }
+    case 'npcFile': {
+      const hit = typeof value === 'string' ? state.ctx?.resolveNpc?.(value) : null;
+      if (hit?.candidates) return fail(state, path, `ambiguous NPC (${hit.candidates.map(c => c.file).join(' / ')})`, value);
+      if (!hit?.file) return fail(state, path, 'unknown NPC', value);
+      if (hit.file !== value) state.resolved.push({ from: value, to: hit.file, how: hit.how });
+      return ok(hit.file);
+    }
+    default:
+      return ok(value);
+  }
+}
+
+// ── Fuzzy filename resolution ─────────────────────────────────
+// key may be a filename, a slug, or a display name / alias. entries is
+// [[filename, data]] for one prefix. Every file is scored; a confident
+// match with no close rival resolves → { file, how }. Weak or contested
+// matches come back as { file: null, candidates: [{ file, score, how }] }
+// for the user to settle; no match at all → null.
+const MATCH_CONFIDENT = 60;   // below this a match is only a suggestion
+const MATCH_CLOSE     = 10;   // a rival within this many points makes it contested
+const MATCH_WEAK      = 30;   // below this it isn't offered at all
+const SPELLING_MIN    = 6;    // shorter names never resolve on spelling alone
+const MAX_CANDIDATES  = 5;
+
+export function fuzzyResolveFile(key, entries, prefix) {
+  if (!key || typeof key !== 'string') return null;
+  const files = new Map(entries);
+  if (files.has(key)) return { file: key, how: 'exact' };
+
+  const stem = slug(key.replace(new RegExp(`^${prefix}_`, 'i'), '').replace(/\.json$/i, ''));
+  if (!stem) return null;
+  const slugged = `${prefix}_${stem}.json`;
+  if (files.has(slugged)) return { file: slugged, how: 'filename' };
+
+  const ranked = rankFileMatches(stem, entries, prefix).filter(r => r.score >= MATCH_WEAK);
+  if (!ranked.length) return null;
+  const [top, next] = ranked;
+  if (top.score >= MATCH_CONFIDENT && (!next || top.score - next.score > MATCH_CLOSE)) {
+    return { file: top.file, how: top.how };
+  }
+  return { file: null, candidates: ranked.slice(0, MAX_CANDIDATES) };
+}
+
+// Best score per file for a slugged key, highest first:
+//   90 name/alias equal · 70 every key word is a whole word of a name
+//   65 every name word appears in the key · 75−10/edit typo (6+ letters;
+//   shorter names are 45−10/edit, a suggestion only — "ben" isn't "ken")
+//   40 a word starts another ("ann" ↔ "annette") · 30 substring
+export function rankFileMatches(stem, entries, prefix) {
+  const words  = stem.split('_').filter(Boolean);
+  const limit  = Math.max(1, Math.floor(stem.length / 6));
+  const stemOf = f => f.replace(new RegExp(`^${prefix}_`), '').replace(/\.json$/, '');
+  return entries.map(([file, d]) => {
+    const names = [stemOf(file), d?.display_name, d?.alias, ...(Array.isArray(d?.aliases) ? d.aliases : [])]
+      .filter(n => typeof n === 'string' && n.trim()).map(slug);
+    let best = { file, score: 0, how: '' };
+    const consider = (score, how) => { if (score > best.score) best = { file, score, how }; };
+    for (const name of names) {
+      const w = name.split('_').filter(Boolean);
+      if (name === stem) consider(90, 'name');
+      if (words.every(x => w.includes(x))) consider(70, 'whole word');
+      if (w.every(x => words.includes(x))) consider(65, 'whole word');
+      const d = editDistance(stem, name);
+      if (d <= limit) consider((stem.length >= SPELLING_MIN ? 75 : 45) - 10 * d, 'spelling');
+      if (words.some(x => x.length >= 3 && w.some(y => y !== x && (y.startsWith(x) || x.startsWith(y))))) consider(40, 'partial word');
+      if (stem.length >= 3 && (name.includes(stem) || (name.length >= 3 && stem.includes(name)))) consider(30, 'substring');
+    }
+    return best;
+  }).filter(r => r.score > 0).sort((a, b) => b.score - a.score);
+}
+
+// Levenshtein plus adjacent transpositions ("brain" → "brian" is 1)
+function editDistance(a, b) {
+  if (Math.abs(a.length - b.length) > 3) return Infinity;
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// ── Helpers ───────────────────────────────────────────────────
+function slug(s) {
+  return String(s).toLowerCase().trim().replace(/\s+/g, '_').replace(/[^a-z0-9_]/g, '');
+}
+
+function isPlainObject(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+function join(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+function ok(value) {
+  return { ok: true, value };
+}
+
+function reject(state, path, reason, value) {
+  state.rejected.push({ category: state.category, path, reason, value });
+}
+
+// Keep an NPC-keyed value aside until the user says who was meant. Only
+// map paths can be rebuilt; inside a list it's rejected like an unknown key.
+function holdAmbiguous(state, path, key, value, candidates) {
+  if (path.includes('[')) {
+    reject(state, join(path, key), `ambiguous NPC (${candidates.map(c => c.file).join(' / ')})`, value);
+    return;
+  }
+  const category = state.category;
+  const parents  = path ? path.split('.') : [];
+  state.ambiguous.push({
+    category, key, candidates,
+    build: file => ({ [category]: parents.reduceRight((inner, k) => ({ [k]: inner }), { [file]: value }) })
+  });
+}
+
+function fail(state, path, reason, value) {
+  reject(state, path, reason, value);
+  return { ok: false };
+}
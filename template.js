@@ -0,0 +1,299 @@
+// ============================================================
+// template.js — Block rendering templates for Scenario State Tracker
+// ============================================================
+//
+// Small mustache-style syntax, enough to lay out NPC sheets and
+// world state without touching code:
+//
+//   {{path.to.field}}                 value (objects render as JSON)
+//   {{field|upper}}                   filters: upper, lower, humanize, trim,
+//   {{list|join:"; "}}                  join:"sep", default:"x", truncate:N, json
+//   {{#if field}} … {{else}} … {{/if}}
+//   {{#unless field}} … {{/unless}}
+//   {{#each list_or_object}} … {{/each}}
+//       inside: {{this}}, {{this.field}}, {{@key}}, {{@index}},
+//       bare names resolve against the item first, then outer scopes
+//
+// Both views get tracked: [{ label, value }] from custom categories.
+// NPC views also get card_linked — true when a character card in this
+// chat already carries the sheet; the view then holds tracked state only.
+//
+// Empty arrays/objects/strings are falsy. A line holding only a block
+// tag is dropped entirely so templates can be written one tag per line.
+
+export const DEFAULT_NPC_TEMPLATE = `[NPC: {{display_name|upper}}{{#if alias}} "{{alias}}"{{/if}} | {{faction|default:"Unknown"}} | {{classification}}{{#if card_linked}} | state only, see character card{{/if}}]
+{{#if appearance_text}}
+Appearance: {{appearance_text}}
+{{/if}}
+{{#if abilities}}
+Abilities: {{abilities}}
+{{/if}}
+{{#if power.summary}}
+Power: {{power.summary}}
+{{#if power.current_limitations}}
+  Limitations: {{power.current_limitations|join:"; "}}
+{{/if}}
+{{#if power.cannot_do}}
+  Cannot: {{power.cannot_do}}
+{{/if}}
+{{/if}}
+{{#if personality}}
+Personality: {{personality}}
+{{/if}}
+Current:
+{{#if current_state.relationship_to_user_character}}
+  → Relationship to PC: {{current_state.relationship_to_user_character}}
+{{/if}}
+{{#if current_state.emotional_state}}
+  → Emotional: {{current_state.emotional_state}}
+{{/if}}
+{{#if current_state.physical_state}}
+  → Physical: {{current_state.physical_state}}
+{{/if}}
+{{#each tracked}}
+  → {{label}}: {{value}}
+{{/each}}
+{{#if relationships_in_scene}}
+Relationships in scene:
+{{#each relationships_in_scene}}
+  → {{name}}: {{relationship}}
+{{/each}}
+{{/if}}
+{{#if has_knowledge}}
+Knowledge:
+{{#each known_intel}}
+  [KNOWS] {{this}}
+{{/each}}
+{{#each unknown_gates}}
+  [DOES NOT KNOW] {{this|humanize}}
+{{/each}}
+{{/if}}
+{{#if critical_note}}
+!! CRITICAL: {{critical_note}}
+{{/if}}`;
+
+export const DEFAULT_WORLD_TEMPLATE = `{{header}}
+Date: {{in_world_date|default:"?"}}  |  Arc {{arc|default:"?"}}{{#if chapter}} ch.{{chapter}}{{/if}}
+{{#if has_divergence}}
+Divergence: {{divergence.rating}}/{{divergence.threshold|default:"15"}}{{#unless divergence.timeline_reliable}}  ⚠ TIMELINE UNRELIABLE — arc events reference only{{/unless}}
+{{/if}}
+{{#if situations}}
+
+Active situations:
+{{#each situations}}
+  • {{this}}
+{{/each}}
+{{/if}}
+{{#if objectives}}
+
+Active objectives:
+{{#each objectives}}
+  • {{name}}{{#if giver}} (for {{giver}}){{/if}}{{#if deadline}} — due {{deadline}}{{/if}}
+{{#each open_steps}}
+      ☐ {{this}}
+{{/each}}
+{{/each}}
+{{/if}}
+{{#if factions}}
+
+Faction status:
+{{#each factions}}
+  {{name}}: {{status}}
+{{/each}}
+{{/if}}
+{{#if tracked}}
+
+Tracked:
+{{#each tracked}}
+  {{label}}: {{value}}
+{{/each}}
+{{/if}}
+{{#if pc_knows}}
+
+PC currently knows:
+{{#each pc_knows}}
+  • {{this|humanize}}
+{{/each}}
+{{/if}}`;
+
+// ── Public entry point ────────────────────────────────────────
+export function renderTemplate(template, data) {
+  const tree = parse(tokenize(String(template ?? '')));
+  return renderNodes(tree, [{ data }]).replace(/\s+$/, '');
+}
+
+// Save-time check: parses, then checks the filters in every branch —
+// rendering only reaches the ones the data happens to take
+export function checkTemplate(template) {
+  checkNodes(parse(tokenize(String(template ?? ''))));
+}
+
+function checkNodes(nodes) {
+  for (const node of nodes) {
+    if (node.type === 'text') continue;
+    for (const spec of splitFilters(node.expr).slice(1)) {
+      const m = spec.trim().match(FILTER_RE);
+      if (m && !FILTERS.includes(m[1])) throw new Error(`Template: unknown filter "${m[1]}"`);
+    }
+    if (node.type !== 'var') { checkNodes(node.body); checkNodes(node.elseBody); }
+  }
+}
+
+// ── Tokenizer ─────────────────────────────────────────────────
+function tokenize(src) {
+  // Standalone block-tag lines: keep the tag, drop the line's whitespace + newline
+  const text = src.replace(/^[ \t]*(\{\{\s*(?:[#/][^}]*|else)\s*\}\})[ \t]*\r?\n/gm, '$1');
+  const tokens = [];
+  const re = /\{\{\s*([\s\S]*?)\s*\}\}/g;
+  let last = 0, m;
+  while ((m = re.exec(text))) {
+    if (m.index > last) tokens.push({ kind: 'text', value: text.slice(last, m.index) });
+    tokens.push({ kind: 'tag', value: m[1] });
+    last = re.lastIndex;
+  }
+  if (last < text.length) tokens.push({ kind: 'text', value: text.slice(last) });
+  return tokens;
+}
+
+// ── Parser → node tree ────────────────────────────────────────
+function parse(tokens) {
+  const root  = { body: [] };
+  const stack = [root];
+  const cur   = () => {
+    const top = stack[stack.length - 1];
+    return top.inElse ? top.elseBody : top.body;
+  };
+
+  for (const tok of tokens) {
+    if (tok.kind === 'text') { cur().push({ type: 'text', value: tok.value }); continue; }
+    const tag = tok.value;
+    const open = tag.match(/^#(if|unless|each)\s+(.+)$/);
+    if (open) {
+      const node = { type: open[1], expr: open[2].trim(), body: [], elseBody: [], inElse: false };
+      cur().push(node);
+      stack.push(node);
+      continue;
+    }
+    const close = tag.match(/^\/(if|unless|each)$/);
+    if (close) {
+      const top = stack.pop();
+      if (!top || top === root || top.type !== close[1])
+        throw new Error(`Template: unexpected {{/${close[1]}}}`);
+      continue;
+    }
+    if (tag === 'else') {
+      const top = stack[stack.length - 1];
+      if (top === root) throw new Error('Template: {{else}} outside a block');
+      top.inElse = true;
+      continue;
+    }
+    cur().push({ type: 'var', expr: tag });
+  }
+  if (stack.length > 1) throw new Error(`Template: unclosed {{#${stack[stack.length - 1].type}}}`);
+  return root.body;
+}
+
+// ── Renderer ──────────────────────────────────────────────────
+function renderNodes(nodes, scopes) {
+  let out = '';
+  for (const node of nodes) {
+    if (node.type === 'text') { out += node.value; continue; }
+    if (node.type === 'var')  { out += stringify(evaluate(node.expr, scopes)); continue; }
+
+    const value = evaluate(node.expr, scopes);
+    if (node.type === 'if' || node.type === 'unless') {
+      const pass = node.type === 'if' ? isTruthy(value) : !isTruthy(value);
+      out += renderNodes(pass ? node.body : node.elseBody, scopes);
+      continue;
+    }
+    // each
+    const items = Array.isArray(value)
+      ? value.map((v, i) => ({ data: v, key: i, index: i }))
+      : (value && typeof value === 'object')
+        ? Object.entries(value).map(([k, v], i) => ({ data: v, key: k, index: i }))
+        : [];
+    if (!items.length) { out += renderNodes(node.elseBody, scopes); continue; }
+    for (const item of items) out += renderNodes(node.body, [...scopes, item]);
+  }
+  return out;
+}
+
+function evaluate(expr, scopes) {
+  const [path, ...filters] = splitFilters(expr);
+  let value = lookup(path.trim(), scopes);
+  for (const f of filters) value = applyFilter(value, f);
+  return value;
+}
+
+function lookup(path, scopes) {
+  const top = scopes[scopes.length - 1];
+  if (path === 'this' || path === '.') return top.data;
+  if (path === '@key')   return top.key;
+  if (path === '@index') return top.index;
+
+  let parts = path.split('.');
+  if (parts[0] === 'this') return walk(top.data, parts.slice(1));
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const data = scopes[i].data;
+    if (data && typeof data === 'object' && Object.hasOwn(data, parts[0])) return walk(data, parts);
+  }
+  return undefined;
+}
+
+// Own properties only — {{constructor}} mustn't reach the prototype chain
+function walk(obj, parts) {
+  return parts.reduce((acc, k) => (acc == null || !Object.hasOwn(Object(acc), k) ? undefined : acc[k]), obj);
+}
+
+// Split "a.b | join:"; " | upper" on pipes that sit outside quotes
+function splitFilters(expr) {
+  const parts = [];
+  let buf = '', quote = null;
+  for (const ch of expr) {
+    if (quote) { if (ch === quote) quote = null; buf += ch; continue; }
+    if (ch === '"' || ch === "'") { quote = ch; buf += ch; continue; }
+    if (ch === '|') { parts.push(buf); buf = ''; continue; }
+    buf += ch;
+  }
+  parts.push(buf);
+  return parts;
+}
+
+const FILTERS   = ['upper', 'lower', 'trim', 'humanize', 'json', 'default', 'join', 'truncate'];
+const FILTER_RE = /^(\w+)(?::\s*([\s\S]*))?$/;
+
+function applyFilter(value, spec) {
+  const m = spec.trim().match(FILTER_RE);
+  if (!m) return value;
+  const name = m[1];
+  const arg  = (m[2] ?? '').trim().replace(/^(["'])([\s\S]*)\1$/, '$2');
+  switch (name) {
+    case 'upper':    return stringify(value).toUpperCase();
+    case 'lower':    return stringify(value).toLowerCase();
+    case 'trim':     return stringify(value).trim();
+    case 'humanize': return stringify(value).replace(/_/g, ' ');
+    case 'json':     return JSON.stringify(value ?? null);
+    case 'default':  return isTruthy(value) || value === 0 ? value : arg;
+    case 'join':     return Array.isArray(value) ? value.map(stringify).join(arg || ', ') : value;
+    case 'truncate': {
+      const n = parseInt(arg, 10) || 80;
+      const s = stringify(value);
+      return s.length > n ? s.slice(0, n) + '…' : s;
+    }
+    default:
+      throw new Error(`Template: unknown filter "${name}"`);
+  }
+}
+
+function isTruthy(v) {
+  if (Array.isArray(v)) return v.length > 0;
+  if (v && typeof v === 'object') return Object.keys(v).length > 0;
+  if (typeof v === 'string') return v.trim().length > 0;
+  return Boolean(v);
+}
+
+function stringify(v) {
+  if (v == null) return '';
+  if (typeof v === 'object') return JSON.stringify(v);
+  return String(v);
+}